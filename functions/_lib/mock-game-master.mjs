@@ -0,0 +1,133 @@
+// Canned Messages API replies for running the proxy without a Claude key.
+// Used by server.js mock mode (NMS_MOCK_RESPONSES); loading fixtures from disk stays in server.js.
+
+const TOOL_NAME = 'report_turn';
+const STREAM_CHUNK_CHARS = 24;
+
+// A fixture is a string (plain text reply), { text, turn } (turn becomes a report_turn
+// tool call, as with structured output) or { status, body } (an error response).
+export function normalizeFixture(fixture) {
+    if (typeof fixture === 'string') {
+        return { text: fixture, turn: null };
+    }
+    if (fixture && typeof fixture === 'object') {
+        if (fixture.status) {
+            return { status: fixture.status, body: fixture.body || { type: 'error', error: { type: 'api_error', message: 'Mock error' } } };
+        }
+        return { text: fixture.text || '', turn: fixture.turn || null };
+    }
+    throw new Error('Mock fixture must be a string or an object');
+}
+
+// Every opening scenario prompt in js/game.js (STARTING_SCENARIOS) starts with this
+export const NEW_GAME_INTRO = 'Begin the game.';
+
+// Opening lines of the game's side requests, matching MEMORY_REQUEST_INTRO and
+// FORMAT_REPAIR_INTRO in js/game.js
+const SIDE_REQUEST_INTROS = {
+    memory: 'Update your long-term memory of this run.',
+    repair: 'Your last reply broke the response format:'
+};
+
+function getMessageText(message) {
+    if (typeof message?.content === 'string') return message.content;
+    return (message?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+function getLastMessageText(payload) {
+    return getMessageText(payload.messages[payload.messages.length - 1]);
+}
+
+// Which side request this is (memory condensing or a format repair), or null for a turn
+export function getSideRequestKind(payload) {
+    const text = getLastMessageText(payload);
+    return Object.keys(SIDE_REQUEST_INTROS).find(kind => text.startsWith(SIDE_REQUEST_INTROS[kind])) || null;
+}
+
+// Plays fixtures in order, looping. A request for a new game's opening scene starts the
+// script over, so every run replays the same way. Side
+// requests get their own reply from sideReplies ({ memory, repair }) and leave the
+// script where it is, so the next turn still gets the next fixture.
+export function createMockGameMaster(fixtures, sideReplies = {}) {
+    if (fixtures.length === 0) {
+        throw new Error('Mock mode needs at least one fixture');
+    }
+    const script = fixtures.map(normalizeFixture);
+    let next = 0;
+
+    return {
+        size: script.length,
+        nextReply(payload) {
+            const side = getSideRequestKind(payload);
+            if (side) return normalizeFixture(sideReplies[side] || '');
+
+            if (getLastMessageText(payload).startsWith(NEW_GAME_INTRO)) next = 0;
+            const fixture = script[next % script.length];
+            next += 1;
+            return fixture;
+        }
+    };
+}
+
+export function buildMockMessage(fixture, payload) {
+    const content = [];
+    if (fixture.text) {
+        content.push({ type: 'text', text: fixture.text });
+    }
+    if (fixture.turn && payload.tools?.some(tool => tool.name === TOOL_NAME)) {
+        content.push({ type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: TOOL_NAME, input: fixture.turn });
+    }
+
+    return {
+        id: `msg_mock_${Date.now()}`,
+        type: 'message',
+        role: 'assistant',
+        model: payload.model,
+        content,
+        stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 }
+    };
+}
+
+function chunkString(text) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_CHARS) {
+        chunks.push(text.slice(i, i + STREAM_CHUNK_CHARS));
+    }
+    return chunks;
+}
+
+function formatEvent(event) {
+    return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// The same message as the server-sent events the Messages API streams, one string per event
+export function formatMockStream(message) {
+    const events = [
+        { type: 'message_start', message: { ...message, content: [], stop_reason: null } }
+    ];
+
+    message.content.forEach((block, index) => {
+        if (block.type === 'text') {
+            events.push({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+            chunkString(block.text).forEach(text => {
+                events.push({ type: 'content_block_delta', index, delta: { type: 'text_delta', text } });
+            });
+        } else {
+            events.push({ type: 'content_block_start', index, content_block: { ...block, input: {} } });
+            chunkString(JSON.stringify(block.input)).forEach(partial_json => {
+                events.push({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json } });
+            });
+        }
+        events.push({ type: 'content_block_stop', index });
+    });
+
+    events.push({ type: 'message_delta', delta: { stop_reason: message.stop_reason, stop_sequence: null }, usage: message.usage });
+    events.push({ type: 'message_stop' });
+
+    return events.map(formatEvent);
+}
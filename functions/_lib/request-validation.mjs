@@ -0,0 +1,241 @@
+// Validates /api/chat request bodies before they are forwarded to the Messages API,
+// so the proxy can't be used as a general-purpose relay.
+// Shared by server.js (Express) and functions/api/chat.js (Cloudflare Pages).
+
+const DEFAULT_ALLOWED_MODELS = ['claude-3-5-haiku-20241022'];
+const ALLOWED_API_VERSIONS = ['2023-06-01'];
+const ALLOWED_TOOLS = ['report_turn'];
+const ALLOWED_TOOL_CHOICES = ['auto', 'any', 'tool'];
+const MAX_CACHE_BREAKPOINTS = 4; // The Messages API's own limit per request
+
+function toList(value, fallback) {
+    const list = (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+    return list.length > 0 ? list : fallback;
+}
+
+function toLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function readValidationConfig(env) {
+    return {
+        allowedModels: toList(env.NMS_ALLOWED_MODELS, DEFAULT_ALLOWED_MODELS),
+        maxTokens: toLimit(env.NMS_MAX_TOKENS, 2048),
+        maxMessages: toLimit(env.NMS_MAX_MESSAGES, 50),
+        maxMessageChars: toLimit(env.NMS_MAX_MESSAGE_CHARS, 20000),
+        maxTotalChars: toLimit(env.NMS_MAX_TOTAL_CHARS, 200000)
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Returns the character count of a string or content-block array, or null if malformed
+function measureContent(content) {
+    if (typeof content === 'string') {
+        return content.length;
+    }
+    if (!Array.isArray(content) || content.length === 0) {
+        return null;
+    }
+
+    let total = 0;
+    for (const block of content) {
+        if (!block || typeof block !== 'object') return null;
+        if (block.type === 'text' && typeof block.text === 'string') {
+            total += block.text.length;
+        } else if (block.type === 'tool_use' || block.type === 'tool_result') {
+            total += JSON.stringify(block).length;
+        } else {
+            return null;
+        }
+    }
+    return total;
+}
+
+function validateMessages(messages, config, problems) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        problems.push({ field: 'messages', problem: 'must be a non-empty array' });
+        return 0;
+    }
+    if (messages.length > config.maxMessages) {
+        problems.push({ field: 'messages', problem: `must contain at most ${config.maxMessages} messages` });
+    }
+
+    let totalChars = 0;
+    messages.forEach((message, index) => {
+        const field = `messages[${index}]`;
+        if (!message || typeof message !== 'object') {
+            problems.push({ field, problem: 'must be an object' });
+            return;
+        }
+        if (message.role !== 'user' && message.role !== 'assistant') {
+            problems.push({ field: `${field}.role`, problem: 'must be "user" or "assistant"' });
+        }
+
+        const chars = measureContent(message.content);
+        if (chars === null) {
+            problems.push({ field: `${field}.content`, problem: 'must be a string or an array of text blocks' });
+            return;
+        }
+        if (chars === 0) {
+            problems.push({ field: `${field}.content`, problem: 'must not be empty' });
+        }
+        if (chars > config.maxMessageChars) {
+            problems.push({ field: `${field}.content`, problem: `must be at most ${config.maxMessageChars} characters` });
+        }
+        totalChars += chars;
+    });
+
+    return totalChars;
+}
+
+// Prompt caching: cache_control may mark system blocks, message blocks and tools, but only
+// as "ephemeral" and no more often than the API allows. They are forwarded unchanged.
+function validateCacheControl(body, problems) {
+    const marked = [];
+    const collect = (blocks, field) => {
+        if (!Array.isArray(blocks)) return;
+        blocks.forEach((block, index) => {
+            if (block && typeof block === 'object' && block.cache_control !== undefined) {
+                marked.push({ field: `${field}[${index}].cache_control`, cacheControl: block.cache_control });
+            }
+        });
+    };
+
+    collect(body.system, 'system');
+    if (Array.isArray(body.messages)) {
+        body.messages.forEach((message, index) => collect(message?.content, `messages[${index}].content`));
+    }
+    collect(body.tools, 'tools');
+
+    marked.forEach(({ field, cacheControl }) => {
+        if (cacheControl?.type !== 'ephemeral' || Object.keys(cacheControl).length !== 1) {
+            problems.push({ field, problem: 'must be { "type": "ephemeral" }' });
+        }
+    });
+    if (marked.length > MAX_CACHE_BREAKPOINTS) {
+        problems.push({ field: 'cache_control', problem: `must be set on at most ${MAX_CACHE_BREAKPOINTS} blocks` });
+    }
+}
+
+function validateTools(body, problems) {
+    if (body.tools === undefined) return undefined;
+
+    if (!Array.isArray(body.tools) || body.tools.length > ALLOWED_TOOLS.length) {
+        problems.push({ field: 'tools', problem: `must be an array of at most ${ALLOWED_TOOLS.length} tools` });
+        return undefined;
+    }
+    body.tools.forEach((tool, index) => {
+        if (!tool || !ALLOWED_TOOLS.includes(tool.name)) {
+            problems.push({ field: `tools[${index}].name`, problem: `must be one of: ${ALLOWED_TOOLS.join(', ')}` });
+        }
+    });
+
+    if (body.tool_choice !== undefined && !ALLOWED_TOOL_CHOICES.includes(body.tool_choice?.type)) {
+        problems.push({ field: 'tool_choice.type', problem: `must be one of: ${ALLOWED_TOOL_CHOICES.join(', ')}` });
+    }
+
+    return body.tools;
+}
+
+// Tool definitions are sent upstream as given, so they count toward the size limits too
+function measureTools(tools, config, problems) {
+    if (!tools) return 0;
+    const chars = JSON.stringify(tools).length;
+    if (chars > config.maxMessageChars) {
+        problems.push({ field: 'tools', problem: `must be at most ${config.maxMessageChars} characters` });
+    }
+    return chars;
+}
+
+// Returns { valid: true, apiVersion, payload } with the upstream request body, or
+// { valid: false, status, body } with a structured 400 error
+export function validateChatRequest(body, config) {
+    const problems = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return invalid([{ field: 'body', problem: 'must be a JSON object' }]);
+    }
+
+    if (!config.allowedModels.includes(body.model)) {
+        problems.push({ field: 'model', problem: `must be one of: ${config.allowedModels.join(', ')}` });
+    }
+
+    const apiVersion = body.apiVersion ?? ALLOWED_API_VERSIONS[0];
+    if (!ALLOWED_API_VERSIONS.includes(apiVersion)) {
+        problems.push({ field: 'apiVersion', problem: `must be one of: ${ALLOWED_API_VERSIONS.join(', ')}` });
+    }
+
+    // Token and temperature values are clamped rather than rejected
+    const maxTokens = Number.isFinite(body.max_tokens)
+        ? clamp(Math.floor(body.max_tokens), 1, config.maxTokens)
+        : config.maxTokens;
+    const temperature = Number.isFinite(body.temperature)
+        ? clamp(body.temperature, 0, 1)
+        : undefined;
+
+    let totalChars = 0;
+    if (body.system !== undefined) {
+        const systemChars = measureContent(body.system);
+        if (systemChars === null) {
+            problems.push({ field: 'system', problem: 'must be a string or an array of text blocks' });
+        } else if (systemChars > config.maxMessageChars) {
+            problems.push({ field: 'system', problem: `must be at most ${config.maxMessageChars} characters` });
+        } else {
+            totalChars += systemChars;
+        }
+    }
+
+    totalChars += validateMessages(body.messages, config, problems);
+
+    const tools = validateTools(body, problems);
+    totalChars += measureTools(tools, config, problems);
+    if (totalChars > config.maxTotalChars) {
+        problems.push({ field: 'messages', problem: `request must be at most ${config.maxTotalChars} characters in total` });
+    }
+    validateCacheControl(body, problems);
+
+    if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+        problems.push({ field: 'stream', problem: 'must be a boolean' });
+    }
+
+    if (problems.length > 0) {
+        return invalid(problems);
+    }
+
+    return {
+        valid: true,
+        apiVersion,
+        payload: {
+            model: body.model,
+            max_tokens: maxTokens,
+            temperature,
+            system: body.system,
+            messages: body.messages,
+            tools,
+            tool_choice: tools ? body.tool_choice : undefined,
+            stream: body.stream === true
+        }
+    };
+}
+
+function invalid(problems) {
+    return {
+        valid: false,
+        status: 400,
+        body: {
+            type: 'error',
+            error: {
+                type: 'invalid_request',
+                message: `Invalid request: ${problems.map(p => `${p.field} ${p.problem}`).join('; ')}`,
+                details: problems
+            }
+        }
+    };
+}
@@ -0,0 +1,48 @@
+// Server-side key mode: when ANTHROPIC_API_KEY is set, players authenticate with one of the
+// comma-separated NMS_ACCESS_TOKENS instead of pasting their own key.
+// Shared by server.js (Express) and functions/api/chat.js and config.js (Cloudflare Pages).
+
+export function parseAccessTokens(env) {
+    return (env.NMS_ACCESS_TOKENS || '')
+        .split(',')
+        .map(token => token.trim())
+        .filter(Boolean);
+}
+
+export function isServerKeyEnabled(env) {
+    return !!env.ANTHROPIC_API_KEY && parseAccessTokens(env).length > 0;
+}
+
+// Compare without bailing out on the first differing character
+function safeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// A player's own key always wins; otherwise fall back to the server key if the access token
+// checks out. getHeader(name) reads a request header, so Express and Fetch requests both work.
+export function resolveApiKey(getHeader, env) {
+    const clientKey = getHeader('x-api-key');
+    if (clientKey) {
+        return { apiKey: clientKey };
+    }
+
+    if (!isServerKeyEnabled(env)) {
+        return { status: 401, error: 'API key required' };
+    }
+
+    const accessToken = getHeader('x-access-token');
+    if (!accessToken) {
+        return { status: 401, error: 'Access token required' };
+    }
+
+    if (!parseAccessTokens(env).some(token => safeEqual(token, accessToken))) {
+        return { status: 401, error: 'Invalid access token' };
+    }
+
+    return { apiKey: env.ANTHROPIC_API_KEY, clientId: `token:${accessToken}` };
+}
@@ -0,0 +1,211 @@
+// Per-client request rate limits and daily token budgets for the chat proxy.
+// Shared by server.js (Express) and functions/api/chat.js (Cloudflare Pages).
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function toLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// A limit of 0 disables that check
+export function readLimitConfig(env) {
+    return {
+        requestsPerMinute: toLimit(env.NMS_RATE_LIMIT_PER_MINUTE, 20),
+        dailyTokenBudget: toLimit(env.NMS_DAILY_TOKEN_BUDGET, 0)
+    };
+}
+
+// In-process store; on Cloudflare this only lives as long as the isolate.
+// Expired keys are swept on write (at most once a minute) so ids that never come back don't pile up.
+export function createMemoryStore() {
+    const entries = new Map();
+    let lastSweep = Date.now();
+
+    function read(key, now) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    function write(key, value, ttlSeconds, now) {
+        if (now - lastSweep >= MINUTE_MS) {
+            lastSweep = now;
+            for (const [entryKey, entry] of entries) {
+                if (entry.expiresAt <= now) entries.delete(entryKey);
+            }
+        }
+        entries.set(key, { value, expiresAt: now + ttlSeconds * 1000 });
+    }
+
+    return {
+        async get(key) {
+            return read(key, Date.now());
+        },
+        async put(key, value, ttlSeconds) {
+            write(key, value, ttlSeconds, Date.now());
+        },
+        // Read-modify-write without yielding, so concurrent requests can't both see the old count
+        async add(key, delta, ttlSeconds) {
+            const now = Date.now();
+            const value = (read(key, now) || 0) + delta;
+            write(key, value, ttlSeconds, now);
+            return value;
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+// Cloudflare KV namespace binding, shared across isolates (eventually consistent,
+// so concurrent requests from different isolates can still overshoot slightly)
+export function createKVStore(namespace) {
+    async function put(key, value, ttlSeconds) {
+        // KV rejects expirations shorter than 60 seconds
+        await namespace.put(key, JSON.stringify(value), { expirationTtl: Math.max(60, ttlSeconds) });
+    }
+
+    return {
+        async get(key) {
+            return await namespace.get(key, 'json');
+        },
+        put,
+        async add(key, delta, ttlSeconds) {
+            const value = ((await namespace.get(key, 'json')) || 0) + delta;
+            await put(key, value, ttlSeconds);
+            return value;
+        }
+    };
+}
+
+// Client ids can be access tokens, so only a hash ever reaches the store
+async function hashClientId(clientId) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(clientId));
+    return Array.from(new Uint8Array(digest).slice(0, 12))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Rough upper bound for what a request will cost: its prompt at ~4 characters per token
+// plus everything it is allowed to generate
+export function estimateRequestTokens(payload) {
+    const prompt = JSON.stringify([payload.system || '', payload.messages || [], payload.tools || []]);
+    return Math.ceil(prompt.length / 4) + (payload.max_tokens || 0);
+}
+
+export function countTokens(usage) {
+    if (!usage) return 0;
+    return (usage.input_tokens || 0) +
+        (usage.output_tokens || 0) +
+        (usage.cache_creation_input_tokens || 0) +
+        (usage.cache_read_input_tokens || 0);
+}
+
+function limitResponse(type, message, resetAt, now) {
+    return {
+        allowed: false,
+        status: 429,
+        retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+        body: {
+            type: 'error',
+            error: {
+                type,
+                message,
+                reset_at: new Date(resetAt).toISOString()
+            }
+        }
+    };
+}
+
+function secondsUntil(resetAt, now) {
+    return Math.ceil((resetAt - now) / 1000);
+}
+
+// The daily budget is reserved up front (estimateRequestTokens) and settled against the
+// real usage afterwards, so requests in flight at the same time can't all slip under it
+export function createUsageLimiter(config, store) {
+    async function checkRequest(clientId, payload = {}, now = Date.now()) {
+        const id = await hashClientId(clientId);
+
+        if (config.requestsPerMinute > 0) {
+            const minute = Math.floor(now / MINUTE_MS);
+            const key = `rate:${id}:${minute}`;
+            const count = await store.add(key, 1, 60);
+            if (count > config.requestsPerMinute) {
+                await store.add(key, -1, 60);
+                return limitResponse(
+                    'proxy_rate_limit',
+                    `Rate limit of ${config.requestsPerMinute} requests per minute reached.`,
+                    (minute + 1) * MINUTE_MS,
+                    now
+                );
+            }
+        }
+
+        if (config.dailyTokenBudget > 0) {
+            const day = Math.floor(now / DAY_MS);
+            const key = `tokens:${id}:${day}`;
+            const ttl = secondsUntil((day + 1) * DAY_MS, now);
+            const tokens = estimateRequestTokens(payload);
+            const spent = await store.add(key, tokens, ttl);
+            if (spent - tokens >= config.dailyTokenBudget) {
+                await store.add(key, -tokens, ttl);
+                return limitResponse(
+                    'proxy_token_budget',
+                    `Daily token budget of ${config.dailyTokenBudget.toLocaleString()} tokens used up.`,
+                    (day + 1) * DAY_MS,
+                    now
+                );
+            }
+            return { allowed: true, reservation: { key, day, tokens } };
+        }
+
+        return { allowed: true, reservation: null };
+    }
+
+    // Swaps the reservation for what the response actually used; with no usage
+    // (errors, dropped streams) the reservation is simply released
+    async function recordUsage(reservation, usage, now = Date.now()) {
+        if (!reservation) return;
+        const delta = countTokens(usage) - reservation.tokens;
+        if (delta === 0) return;
+        await store.add(reservation.key, delta, Math.max(1, secondsUntil((reservation.day + 1) * DAY_MS, now)));
+    }
+
+    return { checkRequest, recordUsage };
+}
+
+// Watches a relayed server-sent event stream for the usage the Messages API reports
+// in message_start (input) and message_delta (output)
+export function createStreamUsageTracker() {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const usage = {};
+
+    function readLine(line) {
+        if (!line.startsWith('data:')) return;
+        try {
+            const event = JSON.parse(line.slice(5).trim());
+            const eventUsage = event.type === 'message_start' ? event.message?.usage : event.usage;
+            if (eventUsage) Object.assign(usage, eventUsage);
+        } catch (e) {
+            // Not every data line is JSON we care about
+        }
+    }
+
+    return {
+        usage,
+        push(chunk) {
+            buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(readLine);
+        }
+    };
+}
@@ -1,19 +1,85 @@
 // Cloudflare Pages Function to proxy Claude API requests
+import {
+    readLimitConfig,
+    createMemoryStore,
+    createKVStore,
+    createUsageLimiter,
+    createStreamUsageTracker
+} from '../_lib/usage-limits.mjs';
+import { readValidationConfig, validateChatRequest } from '../_lib/request-validation.mjs';
+import { resolveApiKey } from '../_lib/server-key.mjs';
+
+// Per-isolate fallback when no NMS_USAGE_KV namespace is bound
+const memoryStore = createMemoryStore();
+
+function getUsageLimiter(env) {
+    const store = env.NMS_USAGE_KV ? createKVStore(env.NMS_USAGE_KV) : memoryStore;
+    return createUsageLimiter(readLimitConfig(env), store);
+}
+
 export async function onRequestPost(context) {
-    const { request } = context;
+    const { request, env } = context;
+
+    // Settle the daily budget reservation exactly once, whichever way the request ends. It is
+    // cleared before the store write, so a write that fails is never repeated by another path.
+    let usageLimiter = null;
+    let reservation = null;
+    const settleUsage = async (usage) => {
+        const settled = reservation;
+        reservation = null;
+        await usageLimiter?.recordUsage(settled, usage);
+    };
 
     try {
-        const apiKey = request.headers.get('x-api-key');
+        const {
+            apiKey,
+            status,
+            error,
+            clientId = `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`
+        } = resolveApiKey(name => request.headers.get(name), env);
 
         if (!apiKey) {
-            return new Response(JSON.stringify({ error: 'API key required' }), {
-                status: 401,
+            return new Response(JSON.stringify({ error }), {
+                status,
                 headers: { 'Content-Type': 'application/json' }
             });
         }
 
-        // Parse request body
-        const body = await request.json();
+        // Parse and validate request body
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            body = null;
+        }
+
+        const validation = validateChatRequest(body, readValidationConfig(env));
+        if (!validation.valid) {
+            return new Response(JSON.stringify(validation.body), {
+                status: validation.status,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            });
+        }
+        const { payload } = validation;
+
+        usageLimiter = getUsageLimiter(env);
+        const limit = await usageLimiter.checkRequest(clientId, payload);
+        if (!limit.allowed) {
+            return new Response(JSON.stringify(limit.body), {
+                status: limit.status,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Retry-After': String(limit.retryAfter),
+                    'Access-Control-Expose-Headers': 'Retry-After',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            });
+        }
+
+        reservation = limit.reservation;
 
         // Forward the request to Claude API
         const response = await fetch('https://api.anthropic.com/v1/messages', {
@@ -21,29 +87,57 @@ export async function onRequestPost(context) {
             headers: {
                 'Content-Type': 'application/json',
                 'x-api-key': apiKey,
-                'anthropic-version': body.apiVersion || '2023-06-01'
+                'anthropic-version': validation.apiVersion
             },
-            body: JSON.stringify({
-                model: body.model,
-                max_tokens: body.max_tokens,
-                temperature: body.temperature,
-                system: body.system,
-                messages: body.messages
-            })
+            body: JSON.stringify(payload)
         });
 
+        // Relay server-sent events as they arrive instead of buffering the reply
+        if (payload.stream && response.ok) {
+            const tracker = createStreamUsageTracker();
+            const { readable, writable } = new TransformStream({
+                transform(chunk, controller) {
+                    tracker.push(chunk);
+                    controller.enqueue(chunk);
+                },
+                async flush() {
+                    await settleUsage(tracker.usage);
+                }
+            });
+            context.waitUntil(response.body.pipeTo(writable).catch(() => settleUsage(tracker.usage)));
+
+            return new Response(readable, {
+                status: 200,
+                headers: {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Access-Control-Allow-Origin': '*'
+                }
+            });
+        }
+
         const data = await response.json();
+        await settleUsage(data.usage);
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        };
+        // Lets the client wait as long as Anthropic asks before retrying
+        const retryAfter = response.headers.get('retry-after');
+        if (retryAfter) {
+            headers['Retry-After'] = retryAfter;
+            headers['Access-Control-Expose-Headers'] = 'Retry-After';
+        }
 
         return new Response(JSON.stringify(data), {
             status: response.status,
-            headers: {
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-            }
+            headers
         });
 
     } catch (error) {
         console.error('Proxy error:', error);
+        await settleUsage(null);
         return new Response(JSON.stringify({ error: 'Internal server error' }), {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -58,7 +152,7 @@ export async function onRequestOptions() {
         headers: {
             'Access-Control-Allow-Origin': '*',
             'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, x-api-key'
+            'Access-Control-Allow-Headers': 'Content-Type, x-api-key, x-access-token'
         }
     });
 }
@@ -0,0 +1,11 @@
+import { isServerKeyEnabled } from '../_lib/server-key.mjs';
+
+// Tells the client whether it needs to ask the player for an API key
+export async function onRequestGet(context) {
+    return new Response(JSON.stringify({ serverKey: isServerKeyEnabled(context.env) }), {
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+        }
+    });
+}
@@ -10,24 +10,158 @@ marked.setOptions({
 // ===== CONFIGURATION CONSTANTS =====
 const CLAUDE_CONFIG = {
     apiEndpoint: '/api/chat', // Proxy endpoint
+    configEndpoint: '/api/config', // Reports whether the proxy holds a server-side key
     model: 'claude-3-5-haiku-20241022',
     maxTokens: 1024,
     temperature: 0.8,
-    apiVersion: '2023-06-01'
+    apiVersion: '2023-06-01',
+    stream: true, // Relay server-sent events so narrative renders as it arrives
+    streamRenderInterval: 150, // Minimum ms between partial renders (e-ink friendly)
+    contextTokens: 12000, // Prompt + reply budget per request, far below the model's window to keep turns cheap
+    promptCaching: true // Cache the rules and older history between turns (see applyPromptCaching)
 };
 
+const WEBLLM_CONFIG = {
+    model: 'Llama-3.2-3B-Instruct-q4f16_1-MLC',
+    contextTokens: 4096, // The prebuilt model's context window
+    maxTokens: 1024, // A regular narrative is well under this; every reserved token is lost to history
+    temperature: 0.8
+};
+
+const OPENAI_COMPATIBLE_CONFIG = {
+    defaultBaseUrl: 'http://localhost:11434/v1', // Ollama; llama.cpp's server uses :8080/v1
+    defaultModel: 'llama3.2',
+    defaultContextTokens: 4096, // Ollama's default num_ctx is smaller on some versions; match the server
+    maxTokens: 1024,
+    temperature: 0.8,
+    stream: true
+};
+
+// Offline stand-in for a real model: replays the proxy mock mode's fixtures, streamed in chunks.
+// One reply per turn, starting with a new game's opening; the last one loops. Together they
+// cover a state update, an inventory change, a structured turn, options without an [OPTIONS]
+// header, a reply with no options at all (answered by side-replies/repair.txt when re-asked)
+// and a death. A static server can't list a directory, so the files are named here.
+const MOCK_GAME_MASTER_CONFIG = {
+    fixtureDir: 'fixtures/mock-game-master/',
+    fixtures: [
+        '01-crash-site.txt',
+        '02-salvage.txt',
+        '03-structured-turn.json',
+        '04-no-options-section.txt',
+        '05-no-options.txt',
+        '06-death.txt'
+    ],
+    sideReplies: { memory: 'side-replies/memory.txt', repair: 'side-replies/repair.txt' },
+    chunkChars: 24,
+    chunkDelay: 30 // ms between streamed chunks
+};
+
+// Section markers that end the narrative part of a Game Master response
+const RESPONSE_SECTION_MARKERS = ['[STATE UPDATE]', '[OPTIONS]'];
+
+// Tool the Claude backend uses to report turn mechanics in structured output mode
+const GAME_MASTER_TOOL = {
+    name: 'report_turn',
+    description: 'Report the mechanical outcome of this turn after writing the narrative. Call exactly once per response.',
+    input_schema: {
+        type: 'object',
+        properties: {
+            state_update: {
+                type: 'object',
+                description: 'Changes caused by this turn. Omit fields that did not change.',
+                properties: {
+                    ship: { type: 'integer', description: 'Change in ship health, in percentage points' },
+                    fuel: { type: 'integer', description: 'Change in fuel units' },
+                    distance: { type: 'integer', description: 'Change in light years from the galaxy center (negative is closer)' },
+                    inventory: {
+                        type: 'object',
+                        description: 'Resource name to signed quantity change, e.g. {"iron": 5, "carbon": -2}',
+                        additionalProperties: { type: 'integer' }
+                    }
+                }
+            },
+            location: {
+                type: 'object',
+                description: 'The player\'s new location. Only include when it changed this turn.',
+                properties: {
+                    planetName: { type: 'string' },
+                    planetType: { type: 'string' },
+                    systemName: { type: 'string' }
+                }
+            },
+            options: {
+                type: 'array',
+                description: '3-4 choices for the player\'s next action',
+                items: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string' },
+                        difficulty: { type: 'string', enum: ['Easy', 'Medium', 'Hard', 'Very Hard'] }
+                    },
+                    required: ['text', 'difficulty']
+                }
+            },
+            player_died: { type: 'boolean', description: 'True only if the player character died this turn' }
+        },
+        required: ['options', 'player_died']
+    }
+};
+
+// Game state schema version; bump it and register a save migration when the shape changes
+const GAME_VERSION = '1.7.0';
+
 const STORAGE_KEYS = {
     apiKey: 'nmstxt_api_key',
+    accessToken: 'nmstxt_access_token',
     settings: 'nmstxt_settings',
-    autoSave: 'nmstxt_save_0',
-    savePrefix: 'nmstxt_save_'
+    activeTab: 'nmstxt_active_tab', // Which tab currently holds the game session
+    sessionFlushed: 'nmstxt_session_flushed', // Sent by a tab once its hand-off auto-save has landed
+    unloadSave: 'nmstxt_unload_save', // Auto-save staged synchronously as the page closes (see stageUnloadSave)
+    dailyUsage: 'nmstxt_daily_usage', // Token usage and cost per local date (see USAGE METER)
+    savePrefix: 'nmstxt_save_' // localStorage fallback and legacy nmstxt_save_N slots
 };
 
 const GAME_CONSTANTS = {
-    maxConversationHistory: 20,
+    maxConversationHistory: 40, // Hard cap under the proxy's 50 messages; the context budget usually prunes first
     maxActionHistory: 50,
     autoSaveDelay: 30000, // 30 seconds
-    maxSaveSize: 4.5 * 1024 * 1024 // 4.5MB
+    maxRestorePoints: 10, // Rolling per-turn snapshots kept alongside the auto-save
+    maxTurnSnapshots: 100, // Newest turns of each run that can be forked from
+    maxRewindDepth: 5, // Turns that can be taken back with rewind
+    maxFormatRepairs: 2, // Follow-up requests per turn when a reply breaks the response format
+    memoryBatchMessages: 8, // Pruned messages that build up before they're condensed into long-term memory
+    historyPruneChunk: 8, // Extra messages pruned once history outgrows the budget; same as the memory batch, so both change the prompt on the same turn
+    maxMemoryRetryTurns: 8, // Longest wait, in turns, before condensing again after failures
+    maxMemoryFacts: 15,
+    maxSaveSize: 4.5 * 1024 * 1024 // 4.5MB, localStorage fallback only
+};
+
+// Automatic retries for AI calls that failed with a retryable error (see callWithRetries).
+// Delays double from baseDelay up to maxDelay with random jitter; a server's Retry-After is
+// honored instead when it is no longer than maxRetryAfter, otherwise the error goes to the player.
+const AI_RETRY_CONFIG = {
+    maxAttempts: 4,
+    baseDelay: 1000,
+    maxDelay: 16000,
+    maxRetryAfter: 60000
+};
+
+// How AI call failures are labelled in the UI, and whether they are retried automatically
+const AI_ERROR_KINDS = {
+    rate_limit: { label: 'Rate limited', retryable: true },
+    overloaded: { label: 'Game Master overloaded', retryable: true },
+    server: { label: 'Server error', retryable: true },
+    network: { label: 'Connection problem', retryable: true },
+    auth: { label: 'Not authorized', retryable: false },
+    invalid_request: { label: 'Request rejected', retryable: false }
+};
+
+// Rewind rules per game mode; rewindCharges null means unlimited
+const GAME_MODES = {
+    casual: { label: 'Casual', description: 'Rewind turns freely', rewindCharges: null },
+    standard: { label: 'Standard', description: '3 rewinds per run', rewindCharges: 3 },
+    hardcore: { label: 'Hardcore', description: 'No rewinds - every choice is final', rewindCharges: 0 }
 };
 
 const DIFFICULTY_DC = {
@@ -37,6 +171,7 @@ const DIFFICULTY_DC = {
     'very hard': 17 // ~20% success (was 20, 5%)
 };
 
+// Every prompt starts with 'Begin the game.', which proxy mock mode uses to spot a new game
 const STARTING_SCENARIOS = [
     {
         id: 'crash_landing',
@@ -96,6 +231,11 @@ const STARTING_SCENARIOS = [
 
 // ===== SYSTEM PROMPT =====
 function getSystemPrompt() {
+    return getGameMasterRules() + getMemoryPrompt(gameState?.memory);
+}
+
+// The part of the system prompt that stays the same from turn to turn
+function getGameMasterRules() {
     const settings = getSettings();
     const narrativeInstructions = {
         concise: 'MAXIMUM 300 characters total (approximately 3-4 sentences). Be extremely brief and direct. This is a hard limit.',
@@ -103,6 +243,9 @@ function getSystemPrompt() {
     };
 
     const instruction = narrativeInstructions[settings.narrativeLength] || narrativeInstructions.regular;
+    const responseFormat = isStructuredOutputEnabled(settings)
+        ? getStructuredResponseFormat(instruction)
+        : getTextResponseFormat(instruction);
 
     console.log('📝 Narrative Length Setting:', settings.narrativeLength);
     console.log('📝 Instruction Being Sent:', instruction);
@@ -130,7 +273,17 @@ SKILL SYSTEM:
 - Skills improve through successful use (shown in roll results)
 - When you see "[Exploration +3]" in dice results, acknowledge the player's growing expertise
 
-RESPONSE FORMAT - YOU MUST FOLLOW THIS EXACTLY:
+${responseFormat}
+
+TONE: Atmospheric, mysterious, sometimes humorous, always engaging
+PACING: Progressive difficulty, early game easier, late game challenging
+VARIETY: Mix combat, exploration, puzzles, diplomacy, survival
+
+Current game state will be provided in each message.`;
+}
+
+function getTextResponseFormat(instruction) {
+    return `RESPONSE FORMAT - YOU MUST FOLLOW THIS EXACTLY:
 1. Narrative description (${instruction})
 2. If dice roll result was provided, narrate the outcome (success/failure/critical)
 3. [STATE UPDATE] section with changes (if any)
@@ -150,32 +303,57 @@ Ship: +0% | Fuel: +0 | Inventory: +0
 3. Attempt to repair the ship's communications array (Hard)
 4. Hunt for food and water (Easy)
 
-CRITICAL: Always end with [OPTIONS] section. Always include difficulty in parentheses.
+CRITICAL: Always end with [OPTIONS] section. Always include difficulty in parentheses.`;
+}
 
-TONE: Atmospheric, mysterious, sometimes humorous, always engaging
-PACING: Progressive difficulty, early game easier, late game challenging
-VARIETY: Mix combat, exploration, puzzles, diplomacy, survival
+function getStructuredResponseFormat(instruction) {
+    return `RESPONSE FORMAT - YOU MUST FOLLOW THIS EXACTLY:
+1. Narrative description (${instruction})
+2. If dice roll result was provided, narrate the outcome (success/failure/critical)
+3. Then call the ${GAME_MASTER_TOOL.name} tool exactly once with:
+   - state_update: ship/fuel/distance/inventory changes caused by this turn (omit unchanged fields)
+   - location: the new planet/system, only if the player moved
+   - options: 3-4 choices, each with a difficulty of Easy, Medium, Hard or Very Hard
+   - player_died: true only if the player character died
 
-Current game state will be provided in each message.`;
+CRITICAL: Do NOT write [STATE UPDATE] or [OPTIONS] sections as text. Always call the tool.`;
 }
 
 // ===== STATE VARIABLES =====
 let gameState = null;
 let autoSaveTimeout = null;
 let isProcessingAction = false;
+let failedAction = null; // Last turn that failed after its dice were rolled, for "Retry this action"
 let pendingAction = null; // Stores action info while skill spending modal is open
 let logCounter = 0; // Track narrative log number
 let webllmEngine = null;
 let webllmModule = null;
 let isWebLLMInitialized = false;
+let serverConfig = { serverKey: false, mock: false }; // Filled in from the proxy on startup
 
 // ===== GAME STATE INITIALIZATION =====
-function createInitialGameState() {
+function createInitialGameState(seed = generateSeed(), gameMode = 'standard') {
     return {
-        version: '1.0.0',
+        version: GAME_VERSION,
         saveSlot: 0,
         lastSaved: Date.now(),
 
+        // Game mode and remaining rewind charges (null = unlimited)
+        rewind: {
+            mode: gameMode,
+            charges: GAME_MODES[gameMode].rewindCharges
+        },
+
+        // Snapshots from before each of the last few turns, newest last (see REWIND)
+        rewindStack: [],
+
+        // Identifies this run's turn snapshots; branch is set when forked from another run (see TIMELINES)
+        runId: createSaveId('run'),
+        branch: null,
+
+        // Seeded PRNG state: drives dice and scenario setup so runs can be replayed
+        rng: createRngState(seed),
+
         currentLocation: {
             planetName: 'Unknown',
             planetType: 'unknown',
@@ -201,6 +379,12 @@ function createInitialGameState() {
 
         conversationHistory: [],
 
+        // Condensed story of turns pruned from conversationHistory (see LONG-TERM MEMORY)
+        memory: createEmptyMemory(),
+
+        // Tokens and cost of every AI call made for this run (see USAGE METER)
+        usage: createEmptyUsage(),
+
         currentNarrative: '',
         currentOptions: [],
 
@@ -220,44 +404,206 @@ function createInitialGameState() {
             combat: { level: 1, xp: 0, points: 0 }
         },
 
-        actionHistory: []
+        actionHistory: [],
+
+        // Complete record of the run for export; never sent to the AI
+        transcript: []
     };
 }
 
 // ===== STORAGE & API KEY MANAGEMENT =====
+// crypto.subtle only exists in secure contexts (HTTPS or localhost), so it is missing when
+// the game is opened over plain HTTP from another device on the LAN
+function hasSubtleCrypto() {
+    return !!window.isSecureContext && !!window.crypto?.subtle;
+}
+
+// The stored key is a JSON record: { encrypted: false, key: <base64> } or, when the player
+// set a passphrase, { encrypted: true, salt, iv, iterations, ciphertext } (AES-GCM with a
+// PBKDF2-derived key). An encrypted key is only usable after unlockApiKey(); the plaintext
+// and derived CryptoKey then live in memory for the rest of the session.
+const API_KEY_ENCRYPTION = {
+    iterations: 600000, // PBKDF2-SHA256, per current OWASP guidance
+    saltBytes: 16,
+    ivBytes: 12
+};
+
+let unlockedApiKey = null;
+let apiKeyCipher = null; // { cryptoKey, salt, iterations } while an encrypted key is unlocked
+
+function readApiKeyRecord() {
+    const stored = localStorage.getItem(STORAGE_KEYS.apiKey);
+    if (!stored) return null;
+    try {
+        return JSON.parse(stored);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Wraps keys stored by older versions as bare base64 in the JSON record
+function migrateStoredApiKey() {
+    const stored = localStorage.getItem(STORAGE_KEYS.apiKey);
+    if (!stored || stored.startsWith('{')) return;
+
+    localStorage.setItem(STORAGE_KEYS.apiKey, JSON.stringify({ encrypted: false, key: stored }));
+    console.log('🔄 Migrated stored API key to the new format');
+}
+
 function getApiKey() {
-    const encoded = localStorage.getItem(STORAGE_KEYS.apiKey);
-    if (!encoded) return null;
+    if (unlockedApiKey) return unlockedApiKey;
+
+    const record = readApiKeyRecord();
+    if (!record || record.encrypted) return null;
     try {
-        return atob(encoded);
+        return atob(record.key);
     } catch (e) {
         return null;
     }
 }
 
-function saveApiKey(key) {
-    const encoded = btoa(key);
-    localStorage.setItem(STORAGE_KEYS.apiKey, encoded);
+function isApiKeyLocked() {
+    return !unlockedApiKey && !!readApiKeyRecord()?.encrypted;
+}
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function deriveApiKeyCipher(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    const cryptoKey = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+    return { cryptoKey, salt, iterations };
+}
+
+// passphrase: a string encrypts under a new passphrase, null stores the key unencrypted,
+// and leaving it out keeps the current protection (used by the URL import)
+async function saveApiKey(key, passphrase) {
+    if (typeof passphrase === 'string') {
+        const salt = crypto.getRandomValues(new Uint8Array(API_KEY_ENCRYPTION.saltBytes));
+        apiKeyCipher = await deriveApiKeyCipher(passphrase, salt, API_KEY_ENCRYPTION.iterations);
+    } else if (passphrase === null) {
+        apiKeyCipher = null;
+    }
+
+    let record;
+    if (apiKeyCipher) {
+        const iv = crypto.getRandomValues(new Uint8Array(API_KEY_ENCRYPTION.ivBytes));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, apiKeyCipher.cryptoKey, new TextEncoder().encode(key));
+        record = {
+            encrypted: true,
+            salt: bytesToBase64(apiKeyCipher.salt),
+            iv: bytesToBase64(iv),
+            iterations: apiKeyCipher.iterations,
+            ciphertext: bytesToBase64(ciphertext)
+        };
+    } else {
+        record = { encrypted: false, key: btoa(key) };
+    }
+
+    localStorage.setItem(STORAGE_KEYS.apiKey, JSON.stringify(record));
+    unlockedApiKey = key;
+}
+
+// Throws on a wrong passphrase (AES-GCM authentication fails)
+async function unlockApiKey(passphrase) {
+    const record = readApiKeyRecord();
+    if (!record?.encrypted) return;
+    if (!hasSubtleCrypto()) {
+        throw new Error('The stored key is encrypted and can only be unlocked over HTTPS or on localhost. Open the game that way, or forget the key and enter it again.');
+    }
+
+    const cipher = await deriveApiKeyCipher(passphrase, base64ToBytes(record.salt), record.iterations);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(record.iv) }, cipher.cryptoKey, base64ToBytes(record.ciphertext));
+    } catch (e) {
+        throw new Error('Wrong passphrase');
+    }
+
+    apiKeyCipher = cipher;
+    unlockedApiKey = new TextDecoder().decode(plaintext);
+    console.log('🔓 API key unlocked');
 }
 
 function clearApiKey() {
     localStorage.removeItem(STORAGE_KEYS.apiKey);
+    unlockedApiKey = null;
+    apiKeyCipher = null;
+}
+
+function getAccessToken() {
+    return localStorage.getItem(STORAGE_KEYS.accessToken);
+}
+
+function saveAccessToken(token) {
+    localStorage.setItem(STORAGE_KEYS.accessToken, token);
+}
+
+function clearAccessToken() {
+    localStorage.removeItem(STORAGE_KEYS.accessToken);
+}
+
+async function fetchServerConfig() {
+    try {
+        const response = await fetch(CLAUDE_CONFIG.configEndpoint);
+        if (response.ok) {
+            serverConfig = { ...serverConfig, ...(await response.json()) };
+        }
+    } catch (e) {
+        // Older proxies have no config endpoint; assume players bring their own key
+        console.warn('⚠ Could not fetch server config:', e.message);
+    }
+    console.log('🔧 Server config:', serverConfig);
+}
+
+function getClaudeAuthHeaders() {
+    const apiKey = getApiKey();
+    if (apiKey) {
+        return { 'x-api-key': apiKey };
+    }
+
+    // A mock-mode proxy answers from fixtures and never needs a key
+    if (serverConfig.mock) {
+        return {};
+    }
+
+    if (serverConfig.serverKey) {
+        const accessToken = getAccessToken();
+        if (!accessToken) {
+            throw new Error('Access token required');
+        }
+        return { 'x-access-token': accessToken };
+    }
+
+    throw new Error('API key required');
 }
 
-function importApiKeyFromUrl() {
+// Runs after any stored key is unlocked, so an imported key keeps the passphrase protection
+async function importApiKeyFromUrl() {
     const urlParams = new URLSearchParams(window.location.search);
     const keyParam = urlParams.get('key');
 
     if (keyParam && keyParam.trim()) {
         // Validate key format (basic check for Anthropic key)
         if (keyParam.startsWith('sk-ant-')) {
-            saveApiKey(keyParam.trim());
+            await saveApiKey(keyParam.trim());
 
             // Remove parameter from URL without page reload
             const cleanUrl = window.location.pathname;
             window.history.replaceState({}, document.title, cleanUrl);
 
-            console.log('✓ API key imported from URL and saved to localStorage');
+            console.log(`✓ API key imported from URL and saved to localStorage${apiKeyCipher ? ' (encrypted)' : ''}`);
             return true;
         } else {
             console.warn('⚠ Invalid API key format in URL parameter');
@@ -274,8 +620,14 @@ function getSettings() {
         fontSize: 20,
         autoSave: true,
         narrativeLength: 'concise',
-        aiModel: 'claude', // 'claude' or 'webllm'
-        einkMode: false
+        gameMode: 'standard', // Applies to new games (see GAME_MODES)
+        aiModel: 'claude', // Name of a registered AI provider (see AI_PROVIDERS)
+        providerSettings: {}, // Per-provider settings fields, keyed by provider name
+        structuredOutput: true, // Claude reports state/options via tool use instead of text sections
+        einkMode: false,
+        modelRates: null, // Rate table overriding DEFAULT_MODEL_RATES, null for the defaults
+        usageWarningThreshold: null, // USD per day; a warning is shown once when today's spend passes it
+        usageInInfoPanel: false
     };
 
     const stored = localStorage.getItem(STORAGE_KEYS.settings);
@@ -297,6 +649,10 @@ function getSettings() {
     }
 }
 
+function isStructuredOutputEnabled(settings) {
+    return settings.aiModel === 'claude' && settings.structuredOutput;
+}
+
 function saveSettings(settings) {
     localStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(settings));
     applySettings(settings);
@@ -342,7 +698,7 @@ async function initializeWebLLM() {
         // Create engine with Llama model (better for narrative generation)
         console.log('🔧 Creating MLC Engine...');
         webllmEngine = await webllmModule.CreateMLCEngine(
-            "Llama-3.2-3B-Instruct-q4f16_1-MLC",
+            WEBLLM_CONFIG.model,
             {
                 initProgressCallback: initProgressCallback,
                 logLevel: "INFO"
@@ -382,12 +738,13 @@ async function callWebLLM(messages, systemPrompt) {
 
         const completion = await webllmEngine.chat.completions.create({
             messages: formattedMessages,
-            temperature: 0.8,
-            max_tokens: 2048,
+            temperature: WEBLLM_CONFIG.temperature,
+            max_tokens: WEBLLM_CONFIG.maxTokens,
         });
 
         const response = completion.choices[0].message.content;
         console.log('✅ WebLLM response received');
+        recordAIUsage(WEBLLM_CONFIG.model, completion.usage);
         return response;
 
     } catch (error) {
@@ -413,181 +770,871 @@ function hideModelLoading() {
     el.classList.add('hidden');
 }
 
-// ===== SAVE/LOAD SYSTEM =====
-function saveGame(slotNumber) {
-    if (!gameState) {
-        showError('No game to save');
-        return false;
+// ===== SAVE STORAGE =====
+// Saves live in IndexedDB, which has no practical size cap. Browsers without it
+// (or with it disabled) fall back to localStorage. Both stores share one interface,
+// all async: get(id), put(record), delete(id), update(id, change), listByKind(kind) (null for plain saves),
+// listByRun(runId) for a run's turn snapshots, and listSnapshotRuns() ({ id, runId } of
+// every turn snapshot). IndexedDB answers the list calls from the kind and runId indexes,
+// so the per-turn restore point and snapshot bookkeeping never loads every record.
+const SAVE_DB = {
+    name: 'nmstxt',
+    version: 2, // 2 adds the kind and runId indexes
+    store: 'saves'
+};
+
+const AUTOSAVE_ID = 'autosave';
+const LEGACY_SAVE_KEY = /^nmstxt_save_(\d+)$/;
+
+let saveStorePromise = null;
+
+function createIndexedDBSaveStore(db) {
+    const request = (mode, operation) => new Promise((resolve, reject) => {
+        const transaction = db.transaction(SAVE_DB.store, mode);
+        const req = operation(transaction.objectStore(SAVE_DB.store));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    // Walks a key cursor, collecting without loading any record values
+    const collectKeys = (openCursor, collect) => new Promise((resolve, reject) => {
+        const results = [];
+        const transaction = db.transaction(SAVE_DB.store, 'readonly');
+        const req = openCursor(transaction.objectStore(SAVE_DB.store));
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return resolve(results);
+            results.push(collect(cursor));
+            cursor.continue();
+        };
+        req.onerror = () => reject(req.error);
+    });
+
+    // Plain saves have no kind, so they are the keys the kind index doesn't cover
+    async function listSaveRecords() {
+        const [allIds, kindIds] = await Promise.all([
+            request('readonly', store => store.getAllKeys()),
+            request('readonly', store => store.index('kind').getAllKeys())
+        ]);
+        const kinded = new Set(kindIds);
+        const records = await Promise.all(allIds
+            .filter(id => !kinded.has(id))
+            .map(id => request('readonly', store => store.get(id))));
+        return records.filter(Boolean);
     }
 
-    const saveData = {
-        id: slotNumber,
-        timestamp: Date.now(),
-        gameState: JSON.parse(JSON.stringify(gameState)),
-        thumbnail: {
-            location: gameState.currentLocation.planetName,
-            stats: `${gameState.stats.planetsVisited} planets`,
-            lastAction: gameState.actionHistory[0]?.action || 'New Game'
-        }
+    // Reads, changes and writes a record in one transaction, so no other write can land
+    // in between. change(existing) returns the new record, or throws to write nothing.
+    const update = (id, change) => new Promise((resolve, reject) => {
+        const transaction = db.transaction(SAVE_DB.store, 'readwrite');
+        const store = transaction.objectStore(SAVE_DB.store);
+        let record;
+        const req = store.get(id);
+        req.onsuccess = () => {
+            try {
+                record = change(req.result);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+                return;
+            }
+            store.put(record);
+        };
+        transaction.oncomplete = () => resolve(record);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+    return {
+        type: 'indexeddb',
+        get: (id) => request('readonly', store => store.get(id)),
+        put: (record) => request('readwrite', store => store.put(record)),
+        update,
+        delete: (id) => request('readwrite', store => store.delete(id)),
+        listByKind: (kind) => kind
+            ? request('readonly', store => store.index('kind').getAll(kind))
+            : listSaveRecords(),
+        listByRun: (runId) => request('readonly', store => store.index('runId').getAll(runId)),
+        listSnapshotRuns: () => collectKeys(
+            store => store.index('runId').openKeyCursor(),
+            cursor => ({ id: cursor.primaryKey, runId: cursor.key })
+        )
+    };
+}
+
+function createLocalStorageSaveStore() {
+    const keyFor = (id) => STORAGE_KEYS.savePrefix + id;
+
+    const read = (id) => {
+        const saveString = localStorage.getItem(keyFor(id));
+        return saveString ? JSON.parse(saveString) : undefined;
     };
 
-    try {
-        const saveString = JSON.stringify(saveData);
+    const write = (record) => {
+        const saveString = JSON.stringify(record);
         if (saveString.length > GAME_CONSTANTS.maxSaveSize) {
             throw new Error('Save file too large');
         }
+        localStorage.setItem(keyFor(record.id), saveString);
+    };
 
-        const key = STORAGE_KEYS.savePrefix + slotNumber;
-        localStorage.setItem(key, saveString);
-        return true;
-    } catch (error) {
-        console.error('Save failed:', error);
-        showError('Failed to save: ' + error.message);
-        return false;
-    }
+    return {
+        type: 'localstorage',
+        get: async (id) => read(id),
+        put: async (record) => write(record),
+        async delete(id) {
+            localStorage.removeItem(keyFor(id));
+        },
+        // Runs synchronously, so nothing can land between the read and the write
+        update: async (id, change) => {
+            const record = change(read(id));
+            write(record);
+            return record;
+        },
+        // localStorage has no indexes, so these read every save
+        async listByKind(kind) {
+            return (await this.list()).filter(record => (record.kind || null) === kind);
+        },
+        async listByRun(runId) {
+            return (await this.list()).filter(record => record.kind === 'snapshot' && record.runId === runId);
+        },
+        async listSnapshotRuns() {
+            return (await this.listByKind('snapshot')).map(record => ({ id: record.id, runId: record.runId }));
+        },
+        async list() {
+            const records = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key.startsWith(STORAGE_KEYS.savePrefix) || LEGACY_SAVE_KEY.test(key)) continue;
+                try {
+                    records.push(JSON.parse(localStorage.getItem(key)));
+                } catch (e) {
+                    console.warn('⚠️ Skipping unreadable save:', key);
+                }
+            }
+            return records;
+        }
+    };
 }
 
-function loadGame(slotNumber) {
-    const key = STORAGE_KEYS.savePrefix + slotNumber;
-    const saveString = localStorage.getItem(key);
+function openSaveDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SAVE_DB.name, SAVE_DB.version);
+        request.onupgradeneeded = (event) => {
+            const store = event.oldVersion < 1
+                ? request.result.createObjectStore(SAVE_DB.store, { keyPath: 'id' })
+                : request.transaction.objectStore(SAVE_DB.store);
+            if (event.oldVersion < 2) {
+                // Only restore points and turn snapshots have a kind; only snapshots have a top-level runId
+                store.createIndex('kind', 'kind');
+                store.createIndex('runId', 'runId');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-    if (!saveString) {
-        showError('No save found in slot ' + slotNumber);
-        return false;
+// Moves pre-IndexedDB nmstxt_save_N keys into the store: slot 0 becomes the auto-save
+async function migrateLegacySaves(store) {
+    const legacyKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (LEGACY_SAVE_KEY.test(key)) legacyKeys.push(key);
     }
 
-    try {
-        const saveData = JSON.parse(saveString);
-        gameState = saveData.gameState;
-
-        // Migrate old saves without skills
-        if (!gameState.skills) {
-            console.log('🔄 Migrating old save to include skills system');
-            gameState.skills = {
-                survival: { level: 1, xp: 0, points: 0 },
-                technology: { level: 1, xp: 0, points: 0 },
-                exploration: { level: 2, xp: 0, points: 0 },
-                combat: { level: 1, xp: 0, points: 0 }
-            };
+    for (const key of legacyKeys) {
+        const slot = parseInt(key.match(LEGACY_SAVE_KEY)[1]);
+        try {
+            const saveData = JSON.parse(localStorage.getItem(key));
+            await store.put({
+                ...saveData,
+                id: slot === 0 ? AUTOSAVE_ID : `slot-${slot}`,
+                name: slot === 0 ? 'Auto-save' : `Slot ${slot}`,
+                notes: ''
+            });
+            localStorage.removeItem(key);
+            console.log(`🔄 Moved ${key} into ${store.type} save storage`);
+        } catch (error) {
+            // Leave the key in place so the next start can try again
+            console.error(`Could not migrate ${key}:`, error);
         }
+    }
+}
 
-        // Migrate old skill format to new points-based system
-        Object.keys(gameState.skills).forEach(skill => {
-            // Convert old number format
-            if (typeof gameState.skills[skill] === 'number') {
-                gameState.skills[skill] = {
-                    level: gameState.skills[skill],
-                    xp: 0,
-                    points: 0
-                };
+function getSaveStore() {
+    if (!saveStorePromise) {
+        saveStorePromise = (async () => {
+            let store;
+            try {
+                if (!window.indexedDB) throw new Error('IndexedDB not available');
+                store = createIndexedDBSaveStore(await openSaveDatabase());
+            } catch (error) {
+                console.warn('⚠️ Falling back to localStorage saves:', error.message);
+                store = createLocalStorageSaveStore();
             }
+            await migrateLegacySaves(store);
+            await restoreUnloadSave(store);
+            return store;
+        })();
+    }
+    return saveStorePromise;
+}
 
-            // Convert old level/xp format to new points format
-            if (gameState.skills[skill].points === undefined) {
-                const oldLevel = gameState.skills[skill].level || 1;
-                const oldXP = gameState.skills[skill].xp || 0;
-
-                // Convert: level 1 = 0 points, level 2 = 5 points, etc.
-                // Each level beyond 1 = 5 points, plus XP/2 as bonus points
-                const convertedPoints = Math.floor((oldLevel - 1) * 5 + oldXP / 2);
-
-                gameState.skills[skill] = {
-                    level: 1, // Reset level (not used in new system)
-                    xp: 0,    // Reset XP (not used in new system)
-                    points: Math.max(0, convertedPoints)
-                };
+// Moves the auto-save staged by stageUnloadSave into the store, unless the auto-save
+// has been written since (by this tab's own last write landing after all, or another tab)
+async function restoreUnloadSave(store) {
+    const staged = localStorage.getItem(STORAGE_KEYS.unloadSave);
+    if (!staged) return;
+    localStorage.removeItem(STORAGE_KEYS.unloadSave);
 
-                console.log(`🔄 Migrated ${skill}: level ${oldLevel} + ${oldXP}xp → ${convertedPoints} points`);
+    try {
+        const { baseRevision, ...record } = JSON.parse(staged);
+        await store.update(AUTOSAVE_ID, (existing) => {
+            if (existing && baseRevision !== null && (existing.revision || 0) !== baseRevision) {
+                throw new Error('the auto-save was written after it was staged');
             }
+            return { ...record, name: existing?.name || record.name, notes: existing?.notes || '', revision: (existing?.revision || 0) + 1 };
         });
-
-        updateGameUI();
-        return true;
+        console.log('💾 Restored the auto-save staged when the page closed');
     } catch (error) {
-        console.error('Load failed:', error);
-        showError('Failed to load: ' + error.message);
-        return false;
+        console.warn('⚠️ Discarded the staged auto-save:', error.message);
     }
 }
 
-function listSaveSlots() {
-    const slots = [];
-    for (let i = 0; i <= 5; i++) {
-        const key = STORAGE_KEYS.savePrefix + i;
-        const saveString = localStorage.getItem(key);
-
-        if (saveString) {
-            try {
-                const saveData = JSON.parse(saveString);
-                slots.push({
-                    slot: i,
-                    timestamp: saveData.timestamp,
-                    thumbnail: saveData.thumbnail,
-                    empty: false
-                });
-            } catch (e) {
-                slots.push({ slot: i, empty: true });
-            }
-        } else {
-            slots.push({ slot: i, empty: true });
-        }
-    }
-    return slots;
+function createSaveId(prefix = 'save') {
+    return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 6);
 }
 
-function autoSave() {
-    const settings = getSettings();
-    if (!settings.autoSave || !gameState) return;
-
-    saveGame(0); // Slot 0 is auto-save
+// ===== TAB SESSION =====
+// Only one tab plays (and writes saves) at a time. A tab claims the session by writing
+// its id to localStorage; the storage event tells every other tab, which hands off its
+// latest auto-save and goes read-only until the player takes the session back.
+// That auto-save can land after the new tab has already loaded the old one, so the
+// handing-off tab announces it on sessionFlushed once it's written.
+const TAB_ID = createSaveId('tab');
+
+let hasActiveSession = true;
+const knownSaveRevisions = {}; // saveId -> revision this tab last loaded or wrote
+let autoSaveLoadedTurns = null; // Transcript length when this tab last loaded the auto-save
+
+function claimSession() {
+    localStorage.setItem(STORAGE_KEYS.activeTab, JSON.stringify({ tabId: TAB_ID, claimedAt: Date.now() }));
+    hasActiveSession = true;
+    console.log('🔑 Game session claimed by this tab');
 }
 
-function scheduleAutoSave() {
+function handleSessionChange(event) {
+    if (event.key === STORAGE_KEYS.sessionFlushed) {
+        handleSessionFlushed(event);
+        return;
+    }
+    if (event.key !== STORAGE_KEYS.activeTab || !event.newValue || !hasActiveSession) return;
+    const newTabId = JSON.parse(event.newValue).tabId;
+    if (newTabId === TAB_ID) return;
+
+    // Flush progress while we still hold the session, so the new tab can pick it up
     if (autoSaveTimeout) {
         clearTimeout(autoSaveTimeout);
+        autoSaveTimeout = null;
     }
-    autoSaveTimeout = setTimeout(autoSave, GAME_CONSTANTS.autoSaveDelay);
+    const flushed = autoSave();
+
+    hasActiveSession = false;
+    disableActions();
+    console.log('🔒 Game opened in another tab, this tab is now read-only');
+    showModal('session-modal');
+
+    flushed.then(() => {
+        localStorage.setItem(STORAGE_KEYS.sessionFlushed, JSON.stringify({
+            from: TAB_ID,
+            to: newTabId,
+            revision: knownSaveRevisions[AUTOSAVE_ID] ?? null,
+            flushedAt: Date.now()
+        }));
+    });
 }
 
-// ===== DICE & SKILL SYSTEM =====
-function rollDice(sides = 20) {
-    return Math.floor(Math.random() * sides) + 1;
+// The previous tab's hand-off auto-save has landed. If this tab hasn't played since loading
+// the auto-save, it reloads it; otherwise it keeps its own progress and adopts the new
+// revision, so its next auto-save isn't refused as a change from another tab.
+async function handleSessionFlushed(event) {
+    if (!event.newValue || !hasActiveSession) return;
+    const { to, revision } = JSON.parse(event.newValue);
+    if (to !== TAB_ID || revision === null) return;
+    if (!gameState || knownSaveRevisions[AUTOSAVE_ID] === undefined || knownSaveRevisions[AUTOSAVE_ID] === revision) return;
+
+    if (!isProcessingAction && gameState.transcript.length === autoSaveLoadedTurns) {
+        if (await loadGame(AUTOSAVE_ID)) {
+            hideDiceRoll();
+            console.log('📥 Picked up the other tab\'s last auto-save');
+        }
+    } else {
+        knownSaveRevisions[AUTOSAVE_ID] = revision;
+    }
 }
 
-function performSkillCheck(difficulty, bonuses = 0, skillName = null) {
-    const roll = rollDice(20);
-    const total = roll + bonuses;
-    const dc = DIFFICULTY_DC[difficulty.toLowerCase()] || 12;
-    const success = total >= dc;
+// Guard for anything that advances the game or writes saves
+function requireActiveSession() {
+    if (hasActiveSession) return true;
+    showModal('session-modal');
+    return false;
+}
+
+async function takeOverSession() {
+    claimSession();
+    hideModal('session-modal');
+    enableActions();
+
+    // The other tab may have played on since this one went read-only
+    if (await hasSave(AUTOSAVE_ID) && await loadGame(AUTOSAVE_ID)) {
+        hideDiceRoll();
+    }
+    showSuccessMessage('Session taken over');
+}
 
+// ===== SAVE/LOAD SYSTEM =====
+function buildSaveData(saveId, name = '', notes = '', state = gameState) {
     return {
-        roll,
-        bonuses,
-        total,
-        dc,
-        success,
-        criticalSuccess: roll === 20,
-        criticalFailure: roll === 1,
-        difficulty,
-        skillUsed: skillName
+        id: saveId,
+        name,
+        notes,
+        timestamp: Date.now(),
+        gameState: JSON.parse(JSON.stringify(state)),
+        thumbnail: {
+            location: state.currentLocation.planetName,
+            stats: `${state.stats.planetsVisited} planets`,
+            lastAction: state.actionHistory[0]?.action || 'New Game'
+        }
     };
 }
 
-function animateDiceRoll(check, skillProgress, callback) {
-    const diceEl = document.getElementById('dice-result');
-    diceEl.classList.remove('hidden');
+// Writes the current game to saveId, keeping that save's name and notes if it exists.
+// Refuses to overwrite a save another tab has written since this tab last read it,
+// unless force is set (the player explicitly chose to overwrite).
+async function saveGame(saveId, name = null, force = false) {
+    if (!gameState) {
+        showError('No game to save');
+        return false;
+    }
+    if (!hasActiveSession) {
+        console.warn('⚠️ Save skipped, another tab holds the game session');
+        return false;
+    }
 
-    // Show initial rolling message
-    let skillText = check.skillUsed ? ` [${capitalize(check.skillUsed)}]` : '';
-    diceEl.textContent = `🎲 Rolling for ${check.difficulty}${skillText}`;
+    try {
+        const store = await getSaveStore();
+        const knownRevision = knownSaveRevisions[saveId];
+        const record = await store.update(saveId, (existing) => {
+            if (existing && !force && knownRevision !== undefined && (existing.revision || 0) !== knownRevision) {
+                throw new Error(`"${existing.name}" was changed in another tab. Load it again or save to a new slot`);
+            }
+            const saveName = name || existing?.name || (saveId === AUTOSAVE_ID ? 'Auto-save' : gameState.currentLocation.planetName);
+            return { ...buildSaveData(saveId, saveName, existing?.notes || ''), revision: (existing?.revision || 0) + 1 };
+        });
+        knownSaveRevisions[saveId] = record.revision;
+        return true;
+    } catch (error) {
+        console.error('Save failed:', error);
+        showError('Failed to save: ' + error.message);
+        return false;
+    }
+}
 
-    // Animate with random numbers (11 frames, ~100ms each = 1100ms total)
-    let frameCount = 0;
-    const maxFrames = 11;
+async function loadGame(saveId) {
+    try {
+        const store = await getSaveStore();
+        const saveData = await store.get(saveId);
 
-    const animationInterval = setInterval(() => {
-        playDiceTickSound(); // Sound on each tick
+        if (!saveData) {
+            showError('No save found: ' + saveId);
+            return false;
+        }
 
+        gameState = migrateGameState(saveData.gameState);
+        knownSaveRevisions[saveId] = saveData.revision || 0;
+        if (saveId === AUTOSAVE_ID) autoSaveLoadedTurns = gameState.transcript.length;
+        hideError(); // Errors (and retries) from the previous game no longer apply
+
+        updateGameUI();
+        if (!hasActiveSession) disableActions(); // Read-only tabs can look but not play
+        return true;
+    } catch (error) {
+        console.error('Load failed:', error);
+        showError('Failed to load: ' + error.message);
+        return false;
+    }
+}
+
+async function hasSave(saveId) {
+    const store = await getSaveStore();
+    return !!(await store.get(saveId));
+}
+
+// Save metadata for the save/load modals: auto-save first, then newest first
+async function listSaves() {
+    const store = await getSaveStore();
+    const records = await store.listByKind(null); // Skips restore points and turn snapshots
+
+    return records
+        .map(record => ({
+            id: record.id,
+            name: record.name,
+            notes: record.notes || '',
+            timestamp: record.timestamp,
+            thumbnail: record.thumbnail,
+            runId: record.gameState.runId,
+            branch: record.gameState.branch
+        }))
+        .sort((a, b) => {
+            if (a.id === AUTOSAVE_ID) return -1;
+            if (b.id === AUTOSAVE_ID) return 1;
+            return b.timestamp - a.timestamp;
+        });
+}
+
+async function updateSaveRecord(saveId, changes) {
+    const store = await getSaveStore();
+    await store.update(saveId, (record) => {
+        if (!record) throw new Error('Save not found');
+        return { ...record, ...changes, id: saveId };
+    });
+}
+
+async function renameSave(saveId, name) {
+    await updateSaveRecord(saveId, { name });
+}
+
+async function updateSaveNotes(saveId, notes) {
+    await updateSaveRecord(saveId, { notes });
+}
+
+// The copy gets its own run so the two saves' turn snapshots can't overwrite each other
+async function duplicateSave(saveId) {
+    const store = await getSaveStore();
+    const record = await store.get(saveId);
+    if (!record) throw new Error('Save not found');
+
+    // Saves from older versions may have no transcript or run id yet
+    const state = migrateGameState(record.gameState);
+    const runId = createSaveId('run');
+    await copyTurnSnapshots(state.runId, runId, state.transcript.length - 1);
+
+    const copy = {
+        ...record,
+        id: createSaveId(),
+        name: `${record.name} (copy)`,
+        timestamp: Date.now(),
+        gameState: { ...state, runId }
+    };
+    await store.put(copy);
+    return copy.id;
+}
+
+async function deleteSave(saveId) {
+    const store = await getSaveStore();
+    await store.delete(saveId);
+    await pruneOrphanedTurnSnapshots();
+}
+
+// Resolves once the auto-save is written (or skipped)
+function autoSave() {
+    const settings = getSettings();
+    if (!settings.autoSave || !gameState) return Promise.resolve(false);
+
+    return saveGame(AUTOSAVE_ID);
+}
+
+// pagehide can't wait for an IndexedDB write, so the auto-save is staged in localStorage
+// synchronously and moved into the store on the next start (see restoreUnloadSave)
+function stageUnloadSave() {
+    const settings = getSettings();
+    if (!settings.autoSave || !gameState || !hasActiveSession) return;
+
+    try {
+        localStorage.setItem(STORAGE_KEYS.unloadSave, JSON.stringify({
+            ...buildSaveData(AUTOSAVE_ID, 'Auto-save'),
+            baseRevision: knownSaveRevisions[AUTOSAVE_ID] ?? null
+        }));
+    } catch (error) {
+        // Over the localStorage quota; the last regular auto-save still stands
+        console.warn('⚠️ Could not stage the auto-save:', error.message);
+    }
+}
+
+// Snapshots the game after a turn into a rolling ring of restore points, so one bad
+// turn can't ruin the only auto-save. label is the action that led here.
+async function recordRestorePoint(label) {
+    const settings = getSettings();
+    if (!settings.autoSave || !gameState) return;
+
+    try {
+        const store = await getSaveStore();
+        const record = buildSaveData(createSaveId('restore'), label);
+        record.kind = 'restore';
+        await store.put(record);
+
+        // Drop the oldest snapshots beyond the ring size
+        const restorePoints = await listRestorePoints();
+        for (const old of restorePoints.slice(GAME_CONSTANTS.maxRestorePoints)) {
+            await store.delete(old.id);
+        }
+    } catch (error) {
+        // A missing restore point shouldn't interrupt play
+        console.error('Restore point failed:', error);
+    }
+}
+
+// Newest first
+async function listRestorePoints() {
+    const store = await getSaveStore();
+    const records = await store.listByKind('restore');
+
+    return records
+        .map(record => ({
+            id: record.id,
+            name: record.name,
+            timestamp: record.timestamp,
+            thumbnail: record.thumbnail,
+            isPlayerDead: record.gameState.currentOptions.length === 0
+        }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+function scheduleAutoSave() {
+    if (autoSaveTimeout) {
+        clearTimeout(autoSaveTimeout);
+    }
+    autoSaveTimeout = setTimeout(autoSave, GAME_CONSTANTS.autoSaveDelay);
+}
+
+// ===== SAVE MIGRATIONS =====
+// Each step upgrades a game state from the previous version to its own version.
+// Steps only read the state and the fresh values they are handed (a seed and run id for
+// saves that predate them), so they can be run and checked in isolation (see test/).
+// Saves written before versioning all claim 1.0.0, so the early steps must be idempotent.
+const SAVE_MIGRATIONS = [];
+
+function registerSaveMigration(version, description, migrate) {
+    SAVE_MIGRATIONS.push({ version, description, migrate });
+    SAVE_MIGRATIONS.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// Returns an upgraded copy of a loaded or imported game state; the input is left untouched
+// so a failed migration can't leave a half-applied save behind
+function migrateGameState(savedState, fresh = { seed: generateSeed(), runId: createSaveId('run') }) {
+    const fromVersion = savedState.version || '1.0.0';
+
+    if (compareVersions(fromVersion, GAME_VERSION) > 0) {
+        throw new Error(`This save was made by a newer version of NMS.TXT (${fromVersion}, this is ${GAME_VERSION}). Please update the game to load it.`);
+    }
+
+    const state = JSON.parse(JSON.stringify(savedState));
+    SAVE_MIGRATIONS
+        .filter(step => compareVersions(step.version, fromVersion) > 0 && compareVersions(step.version, GAME_VERSION) <= 0)
+        .forEach(step => {
+            console.log(`🔄 Migrating save ${state.version || '1.0.0'} → ${step.version}: ${step.description}`);
+            step.migrate(state, fresh);
+            state.version = step.version;
+        });
+
+    state.version = GAME_VERSION;
+    return state;
+}
+
+registerSaveMigration('1.1.0', 'points-based skills', (state) => {
+    // Migrate old saves without skills
+    if (!state.skills) {
+        state.skills = {
+            survival: { level: 1, xp: 0, points: 0 },
+            technology: { level: 1, xp: 0, points: 0 },
+            exploration: { level: 2, xp: 0, points: 0 },
+            combat: { level: 1, xp: 0, points: 0 }
+        };
+    }
+
+    Object.keys(state.skills).forEach(skill => {
+        // Convert old number format; points are left unset so the conversion below runs
+        if (typeof state.skills[skill] === 'number') {
+            state.skills[skill] = {
+                level: state.skills[skill],
+                xp: 0
+            };
+        }
+
+        // Convert old level/xp format to new points format
+        if (state.skills[skill].points === undefined) {
+            const oldLevel = state.skills[skill].level || 1;
+            const oldXP = state.skills[skill].xp || 0;
+
+            // Convert: level 1 = 0 points, level 2 = 5 points, etc.
+            // Each level beyond 1 = 5 points, plus XP/2 as bonus points
+            const convertedPoints = Math.floor((oldLevel - 1) * 5 + oldXP / 2);
+
+            state.skills[skill] = {
+                level: 1, // Reset level (not used in new system)
+                xp: 0,    // Reset XP (not used in new system)
+                points: Math.max(0, convertedPoints)
+            };
+
+            console.log(`🔄 Migrated ${skill}: level ${oldLevel} + ${oldXP}xp → ${convertedPoints} points`);
+        }
+    });
+});
+
+registerSaveMigration('1.2.0', 'seeded RNG', (state, fresh) => {
+    // Past rolls can't be replayed, so older runs get a fresh seed
+    if (!state.rng) {
+        state.rng = createRngState(fresh.seed);
+    }
+});
+
+registerSaveMigration('1.3.0', 'full transcript', (state) => {
+    // History before this point is not recoverable
+    if (!state.transcript) {
+        state.transcript = [];
+    }
+});
+
+registerSaveMigration('1.4.0', 'rewind', (state) => {
+    if (!state.rewind) {
+        state.rewind = { mode: 'standard', charges: GAME_MODES.standard.rewindCharges };
+    }
+    if (!state.rewindStack) {
+        state.rewindStack = [];
+    }
+});
+
+// Older runs get an id but no snapshots, so they can only be forked from turns played after this
+registerSaveMigration('1.5.0', 'timelines', (state, fresh) => {
+    if (!state.runId) {
+        state.runId = fresh.runId;
+    }
+    if (state.branch === undefined) {
+        state.branch = null;
+    }
+});
+
+registerSaveMigration('1.6.0', 'long-term memory', (state) => {
+    if (!state.memory) {
+        state.memory = createEmptyMemory();
+    }
+});
+
+registerSaveMigration('1.7.0', 'usage meter', (state) => {
+    if (!state.usage) {
+        state.usage = createEmptyUsage();
+    }
+});
+
+// ===== SAVE EXPORT/IMPORT =====
+const SAVE_FILE_FORMAT = 'nmstxt-save';
+const SAVE_FILE_VERSION = 1;
+
+// Returns null where SHA-256 isn't available (see hasSubtleCrypto)
+async function computeChecksum(text) {
+    if (!hasSubtleCrypto()) return null;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+async function exportSave() {
+    if (!gameState) {
+        showError('No game to export');
+        return false;
+    }
+
+    const save = buildSaveData(null, gameState.currentLocation.planetName);
+    const checksum = await computeChecksum(JSON.stringify(save));
+    if (!checksum) {
+        console.warn('⚠️ Exporting without a checksum: crypto.subtle needs HTTPS or localhost');
+    }
+    const file = {
+        format: SAVE_FILE_FORMAT,
+        version: SAVE_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        checksum,
+        save
+    };
+
+    const location = gameState.currentLocation.planetName.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`nmstxt-save-${location}-${date}.json`, JSON.stringify(file, null, 2), 'application/json');
+    return true;
+}
+
+// Returns a list of problems; an empty list means the save has everything loadGame needs
+function validateSaveData(save) {
+    const problems = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(save)) return ['save data is missing'];
+    if (!Number.isFinite(save.timestamp)) problems.push('timestamp must be a number');
+
+    const state = save.gameState;
+    if (!isObject(state)) return [...problems, 'gameState is missing'];
+
+    if (!isObject(state.currentLocation) || typeof state.currentLocation.planetName !== 'string') {
+        problems.push('currentLocation.planetName must be a string');
+    }
+    if (!isObject(state.ship) || !Number.isFinite(state.ship.health) || !Number.isFinite(state.ship.fuel)) {
+        problems.push('ship.health and ship.fuel must be numbers');
+    }
+    if (!isObject(state.inventory) || !Object.values(state.inventory).every(Number.isFinite)) {
+        problems.push('inventory must map items to numbers');
+    }
+    if (!isObject(state.stats)) problems.push('stats must be an object');
+    if (!Array.isArray(state.conversationHistory)) problems.push('conversationHistory must be an array');
+    if (!Array.isArray(state.actionHistory)) problems.push('actionHistory must be an array');
+    if (typeof state.currentNarrative !== 'string') problems.push('currentNarrative must be a string');
+    if (!Array.isArray(state.currentOptions)) problems.push('currentOptions must be an array');
+    if (state.skills !== undefined && !isObject(state.skills)) problems.push('skills must be an object');
+
+    return problems;
+}
+
+async function readSaveFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error('Not a valid save file (could not read JSON)');
+    }
+
+    if (parsed?.format !== SAVE_FILE_FORMAT) {
+        throw new Error('Not an NMS.TXT save file');
+    }
+    if (!Number.isInteger(parsed.version) || parsed.version > SAVE_FILE_VERSION) {
+        throw new Error(`Save file version ${parsed.version} is not supported by this version of the game`);
+    }
+    // Files exported over plain HTTP have no checksum, and one can't be checked there either
+    const checksum = await computeChecksum(JSON.stringify(parsed.save));
+    if (parsed.checksum && !checksum) {
+        console.warn('⚠️ Skipping the save file checksum: crypto.subtle needs HTTPS or localhost');
+    } else if (parsed.checksum && parsed.checksum !== checksum) {
+        throw new Error('Checksum mismatch: the save file is corrupted or was edited');
+    }
+
+    const problems = validateSaveData(parsed.save);
+    if (problems.length > 0) {
+        throw new Error('Invalid save file: ' + problems.join('; '));
+    }
+
+    parsed.save.gameState = migrateGameState(parsed.save.gameState);
+    return parsed.save;
+}
+
+async function importSave(save, saveId, name) {
+    try {
+        const store = await getSaveStore();
+        const existing = await store.get(saveId);
+        await store.put({
+            ...save,
+            id: saveId,
+            name,
+            notes: existing?.notes || save.notes || '',
+            revision: (existing?.revision || 0) + 1,
+            // A fresh run, so turns played from the import never overwrite a local run's snapshots
+            gameState: { ...save.gameState, runId: createSaveId('run') }
+        });
+        return true;
+    } catch (error) {
+        console.error('Import failed:', error);
+        showError('Failed to import: ' + error.message);
+        return false;
+    }
+}
+
+// ===== SEEDED RNG =====
+function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Numeric input is used as-is; any other text is hashed (FNV-1a) so "bob's run" works as a seed
+function parseSeed(seedText) {
+    const text = String(seedText).trim();
+    if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+        return Number(text);
+    }
+
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function createRngState(seed) {
+    return { seed: seed >>> 0, state: seed >>> 0 };
+}
+
+// mulberry32: advances gameState.rng and returns a float in [0, 1)
+function nextRandom() {
+    const rng = gameState.rng;
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomInt(max) {
+    return Math.floor(nextRandom() * max);
+}
+
+// ===== DICE & SKILL SYSTEM =====
+function rollDice(sides = 20) {
+    return randomInt(sides) + 1;
+}
+
+function performSkillCheck(difficulty, bonuses = 0, skillName = null) {
+    const roll = rollDice(20);
+    const total = roll + bonuses;
+    const dc = DIFFICULTY_DC[difficulty.toLowerCase()] || 12;
+    const success = total >= dc;
+
+    return {
+        roll,
+        bonuses,
+        total,
+        dc,
+        success,
+        criticalSuccess: roll === 20,
+        criticalFailure: roll === 1,
+        difficulty,
+        skillUsed: skillName
+    };
+}
+
+function animateDiceRoll(check, skillProgress, callback) {
+    const diceEl = document.getElementById('dice-result');
+    diceEl.classList.remove('hidden');
+
+    // Show initial rolling message
+    let skillText = check.skillUsed ? ` [${capitalize(check.skillUsed)}]` : '';
+    diceEl.textContent = `🎲 Rolling for ${check.difficulty}${skillText}`;
+
+    // Animate with random numbers (11 frames, ~100ms each = 1100ms total)
+    let frameCount = 0;
+    const maxFrames = 11;
+
+    const animationInterval = setInterval(() => {
+        playDiceTickSound(); // Sound on each tick
+
+        // Cosmetic only - must not advance the seeded RNG
         const randomRoll = Math.floor(Math.random() * 20) + 1;
         diceEl.textContent = `🎲 Rolling for ${check.difficulty}${skillText}\n${randomRoll}...`;
 
@@ -745,358 +1792,1427 @@ function awardSkillPoints(skillName, diceRollResult) {
 }
 
 // ===== AI INTEGRATION =====
-async function callAI(userMessage) {
+// Returns { text, turn } where turn is the structured tool input (or null when
+// the backend answered in the plain text format)
+async function callAI(userMessage, onText = null) {
     const settings = getSettings();
 
-    // Route to appropriate AI backend
-    if (settings.aiModel === 'webllm') {
-        return await callWebLLMBackend(userMessage);
-    } else {
-        return await callClaudeBackend(userMessage);
+    // Route to the selected AI provider
+    const provider = getAIProvider(settings.aiModel);
+    const availability = provider.checkAvailability(settings);
+    if (!availability.available) {
+        throw new Error(availability.reason);
     }
+
+    const providerSettings = getProviderSettings(provider, settings);
+    const result = await callWithRetries(() => provider.call(userMessage, onText, providerSettings));
+    return await repairResponseFormat(provider, providerSettings, userMessage, result);
 }
 
-async function callClaudeBackend(userMessage) {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-        throw new Error('API key required');
-    }
+// ===== USAGE METER =====
+// Token usage from every AI call (turns, format repairs, memory updates) is added to the run's
+// gameState.usage and to today's total in localStorage, priced with the rate table at the time
+// of the call. Rates are USD per million tokens; models without a rate, like local ones, count
+// tokens at no cost.
+const DEFAULT_MODEL_RATES = {
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 }
+};
+const USAGE_HISTORY_DAYS = 30;
 
-    const messages = [
-        ...gameState.conversationHistory,
-        {
-            role: 'user',
-            content: userMessage
-        }
-    ];
+function createEmptyUsage() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, cost: 0 };
+}
+
+function getModelRates(settings = getSettings()) {
+    return settings.modelRates || DEFAULT_MODEL_RATES;
+}
+
+// Accepts Messages API and OpenAI-style usage objects
+function normalizeUsage(usage) {
+    return {
+        inputTokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+        outputTokens: usage.output_tokens ?? usage.completion_tokens ?? 0,
+        cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+        cacheReadTokens: usage.cache_read_input_tokens || 0
+    };
+}
 
+function priceUsage(counts, rate) {
+    if (!rate) return 0;
+    return (counts.inputTokens * rate.input
+        + counts.outputTokens * rate.output
+        + counts.cacheWriteTokens * (rate.cacheWrite ?? rate.input)
+        + counts.cacheReadTokens * (rate.cacheRead ?? rate.input)) / 1000000;
+}
+
+function addUsage(total, counts, cost) {
+    total.requests += 1;
+    total.inputTokens += counts.inputTokens;
+    total.outputTokens += counts.outputTokens;
+    total.cacheWriteTokens += counts.cacheWriteTokens;
+    total.cacheReadTokens += counts.cacheReadTokens;
+    total.cost += cost;
+}
+
+function getLocalDateKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function readDailyUsage() {
     try {
-        const response = await fetch(CLAUDE_CONFIG.apiEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey
-            },
-            body: JSON.stringify({
-                model: CLAUDE_CONFIG.model,
-                max_tokens: CLAUDE_CONFIG.maxTokens,
-                temperature: CLAUDE_CONFIG.temperature,
-                system: getSystemPrompt(),
-                messages: messages,
-                apiVersion: CLAUDE_CONFIG.apiVersion
-            })
-        });
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.dailyUsage)) || {};
+    } catch (e) {
+        return {};
+    }
+}
 
-        if (!response.ok) {
-            if (response.status === 401) {
-                clearApiKey();
-                throw new Error('Invalid API key. Please enter a new one.');
-            }
-            throw new Error(`API error: ${response.status}`);
-        }
+function getTodayUsage() {
+    return readDailyUsage()[getLocalDateKey()] || createEmptyUsage();
+}
 
-        const data = await response.json();
-        return data.content[0].text;
+function recordAIUsage(model, usage) {
+    if (!usage) return;
 
-    } catch (error) {
-        console.error('Claude API error:', error);
-        throw error;
+    const settings = getSettings();
+    const counts = normalizeUsage(usage);
+    const cost = priceUsage(counts, getModelRates(settings)[model]);
+
+    if (gameState) {
+        addUsage(gameState.usage, counts, cost);
+    }
+
+    const daily = readDailyUsage();
+    const todayKey = getLocalDateKey();
+    const today = daily[todayKey] || createEmptyUsage();
+    const costBefore = today.cost;
+    addUsage(today, counts, cost);
+    daily[todayKey] = today;
+    Object.keys(daily).sort().slice(0, -USAGE_HISTORY_DAYS).forEach(key => delete daily[key]);
+    localStorage.setItem(STORAGE_KEYS.dailyUsage, JSON.stringify(daily));
+
+    console.log(`💰 ${model}: ${counts.inputTokens + counts.cacheWriteTokens + counts.cacheReadTokens} in, ${counts.outputTokens} out, ${formatCost(cost)}`);
+    updateUsageDisplay();
+
+    const threshold = settings.usageWarningThreshold;
+    if (threshold && costBefore < threshold && today.cost >= threshold) {
+        showAlertModal(`Today's AI spend has passed ${formatCost(threshold)} and is now ${formatCost(today.cost)}. You can change this warning in Settings.`, 'Spending Warning');
     }
 }
 
-async function callWebLLMBackend(userMessage) {
-    const messages = [
-        ...gameState.conversationHistory,
-        {
-            role: 'user',
-            content: userMessage
-        }
-    ];
+function formatCost(cost) {
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
 
-    return await callWebLLM(messages, getSystemPrompt());
+function describeUsage(usage) {
+    const tokens = usage.inputTokens + usage.outputTokens + usage.cacheWriteTokens + usage.cacheReadTokens;
+    const cached = usage.cacheReadTokens > 0 ? ` (${usage.cacheReadTokens.toLocaleString()} from cache)` : '';
+    return `${formatCost(usage.cost)} - ${usage.requests} request${usage.requests === 1 ? '' : 's'}, ${tokens.toLocaleString()} tokens${cached}`;
 }
 
-function formatUserMessage(action, diceRoll = null) {
-    let message = action + '\n\n[CURRENT STATE]\n';
-    message += `Location: ${gameState.currentLocation.planetName} (${gameState.currentLocation.planetType})\n`;
-    message += `Ship Health: ${gameState.ship.health}%\n`;
-    message += `Fuel: ${gameState.ship.fuel} units\n`;
-    message += `Inventory: ${formatInventoryText(gameState.inventory)}\n`;
-    message += `Distance from Center: ${gameState.currentLocation.distanceFromCenter} LY`;
+function updateUsageDisplay() {
+    const settings = getSettings();
+    const panelEl = document.getElementById('usage-panel');
+    const today = getTodayUsage();
+    const threshold = settings.usageWarningThreshold;
+
+    panelEl.classList.toggle('hidden', !settings.usageInInfoPanel);
+    panelEl.classList.toggle('over-threshold', Boolean(threshold) && today.cost >= threshold);
+    document.getElementById('usage-display').textContent =
+        `${formatCost(gameState ? gameState.usage.cost : 0)} / ${formatCost(today.cost)}`;
+}
 
-    if (diceRoll) {
-        message += '\n\n[DICE ROLL RESULT]\n';
-        message += `Roll: ${diceRoll.roll}`;
-        if (diceRoll.bonuses !== 0) {
-            message += ` + ${diceRoll.bonuses}`;
-        }
-        message += ` = ${diceRoll.total} vs DC ${diceRoll.dc}\n`;
-        message += `Result: ${diceRoll.success ? 'SUCCESS' : 'FAILURE'}`;
-        if (diceRoll.criticalSuccess) {
-            message += ' (Critical Success!)';
-        }
-        if (diceRoll.criticalFailure) {
-            message += ' (Critical Failure!)';
-        }
-    }
+function renderUsageSettings(settings) {
+    document.getElementById('usage-summary').innerHTML = `
+        This run: ${escapeHtml(gameState ? describeUsage(gameState.usage) : 'no game in progress')}<br>
+        Today: ${escapeHtml(describeUsage(getTodayUsage()))}
+    `;
+    document.getElementById('usage-info-panel-toggle').checked = settings.usageInInfoPanel;
+    document.getElementById('usage-warning-input').value = settings.usageWarningThreshold ?? '';
+    document.getElementById('usage-rates-input').value = JSON.stringify(getModelRates(settings), null, 2);
+}
 
-    // Add brevity reminder based on mode
-    const settings = getSettings();
-    if (settings.narrativeLength === 'concise') {
-        message += '\n\n[REMINDER: Maximum 300 characters total - this is a HARD LIMIT]';
-    } else {
-        message += '\n\n[REMINDER: 1-2 paragraphs maximum]';
+// Returns the rate table from the settings textarea, or throws with what is wrong with it
+function parseModelRates(text) {
+    const rates = JSON.parse(text);
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        throw new Error('Rates must be an object keyed by model name');
     }
-
-    return message;
+    Object.entries(rates).forEach(([model, rate]) => {
+        if (!Number.isFinite(rate?.input) || !Number.isFinite(rate?.output)) {
+            throw new Error(`${model} needs numeric "input" and "output" rates`);
+        }
+    });
+    return rates;
 }
 
-function formatInventoryText(inventory) {
-    const items = Object.entries(inventory)
-        .filter(([key, val]) => val > 0)
-        .map(([key, val]) => `${capitalize(key)} x${val}`)
-        .join(', ');
-    return items || 'Empty';
+// ===== AI ERRORS & RETRIES =====
+function createAIError(kind, message, details = {}) {
+    const error = new Error(message);
+    error.kind = kind;
+    error.retryable = AI_ERROR_KINDS[kind].retryable;
+    Object.assign(error, details);
+    return error;
 }
 
-// ===== UTILITY FUNCTIONS =====
-function capitalize(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
 }
 
-// ===== SOUND SYSTEM =====
-let audioContext = null;
-let isSoundMuted = false;
+function classifyHttpError(response, message) {
+    const details = { status: response.status, retryAfter: parseRetryAfter(response.headers.get('Retry-After')) };
 
-function initAudioContext() {
-    if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    if (response.status === 401 || response.status === 403) return createAIError('auth', message, details);
+    if (response.status === 429) return createAIError('rate_limit', message, details);
+    if (response.status === 529) return createAIError('overloaded', message, details);
+    if (response.status >= 500) return createAIError('server', message, details);
+    return createAIError('invalid_request', message, details);
+}
+
+// fetch rejects with a TypeError when the network drops or the host can't be reached. Only
+// that rejection becomes a retryable network error; a TypeError anywhere else is a bug.
+async function fetchAIEndpoint(url, options, unreachableMessage) {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        if (error.name !== 'TypeError') throw error;
+        throw createAIError('network', unreachableMessage);
     }
-    return audioContext;
 }
 
-function playClickSound() {
-    if (isSoundMuted) return;
+// null when the error should go to the player instead
+function getRetryDelay(error, attempt) {
+    if (!error.retryable || attempt >= AI_RETRY_CONFIG.maxAttempts) return null;
 
-    const ctx = initAudioContext();
+    if (error.retryAfter !== undefined) {
+        return error.retryAfter <= AI_RETRY_CONFIG.maxRetryAfter ? error.retryAfter : null;
+    }
 
-    // Create mechanical click with brief noise burst
-    const oscillator1 = ctx.createOscillator();
-    const oscillator2 = ctx.createOscillator();
-    const gainNode = ctx.createGain();
+    // Exponential backoff with "equal jitter". Math.random on purpose: the seeded game RNG
+    // must not be consumed by network timing.
+    const ceiling = Math.min(AI_RETRY_CONFIG.maxDelay, AI_RETRY_CONFIG.baseDelay * 2 ** (attempt - 1));
+    return ceiling / 2 + Math.random() * ceiling / 2;
+}
 
-    oscillator1.connect(gainNode);
-    oscillator2.connect(gainNode);
-    gainNode.connect(ctx.destination);
+async function callWithRetries(operation) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            const delay = getRetryDelay(error, attempt);
+            if (delay === null) throw error;
+
+            const seconds = Math.ceil(delay / 1000);
+            console.log(`⏳ ${error.message} - retry ${attempt}/${AI_RETRY_CONFIG.maxAttempts - 1} in ${seconds}s`);
+            showLoading(`${AI_ERROR_KINDS[error.kind].label}, trying again in ${seconds}s...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
 
-    // Two frequencies for mechanical click effect
-    oscillator1.type = 'square';
-    oscillator1.frequency.value = 180;
-    oscillator2.type = 'square';
-    oscillator2.frequency.value = 220;
+// ===== FORMAT REPAIR =====
+// When a text reply is broken badly enough that the parser would have to guess (no options,
+// unreadable deltas), the Game Master is asked again for just the broken sections. The
+// correction round-trip is sent as a one-off exchange and never enters conversationHistory;
+// only the merged reply does.
+const FORMAT_REPAIR_SECTIONS = {
+    'missing-options': 'OPTIONS',
+    'unparseable-option': 'OPTIONS',
+    'unknown-difficulty': 'OPTIONS',
+    'unparseable-delta': 'STATE UPDATE',
+    'unparseable-inventory': 'STATE UPDATE'
+};
 
-    // Very short, sharp envelope for click
-    gainNode.gain.setValueAtTime(0.15, ctx.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.03);
+function getSectionsToRepair(validation) {
+    const sections = new Set(validation.problems
+        .filter(problem => problem.severity === 'error' && FORMAT_REPAIR_SECTIONS[problem.code])
+        .map(problem => FORMAT_REPAIR_SECTIONS[problem.code]));
 
-    oscillator1.start(ctx.currentTime);
-    oscillator1.stop(ctx.currentTime + 0.03);
-    oscillator2.start(ctx.currentTime);
-    oscillator2.stop(ctx.currentTime + 0.03);
+    // A missing state update alone isn't worth a call, but can ride along with one
+    if (sections.size > 0 && validation.problems.some(problem => problem.code === 'missing-state-update')) {
+        sections.add('STATE UPDATE');
+    }
+    return ['STATE UPDATE', 'OPTIONS'].filter(section => sections.has(section));
 }
 
-function playHoverSound() {
-    if (isSoundMuted) return;
-
-    const ctx = initAudioContext();
-    const oscillator = ctx.createOscillator();
-    const gainNode = ctx.createGain();
+function extractResponseSection(text, section) {
+    const match = text.match(new RegExp(`\\[${section}\\]([\\s\\S]*?)(?=\\[(?:STATE UPDATE|OPTIONS)\\]|$)`, 'i'));
+    return match ? match[1].trim() : null;
+}
 
-    oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
+// The mock Game Masters recognize repair requests by this opening line
+const FORMAT_REPAIR_INTRO = 'Your last reply broke the response format:';
 
-    oscillator.type = 'sine';
-    oscillator.frequency.value = 600;
+function formatRepairRequest(sections, problems) {
+    const details = problems
+        .filter(problem => problem.severity === 'error')
+        .map(problem => `- ${problem.message}`)
+        .join('\n');
 
-    // Very subtle, brief hover sound
-    gainNode.gain.setValueAtTime(0.03, ctx.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.02);
+    return `${FORMAT_REPAIR_INTRO}
+${details}
 
-    oscillator.start(ctx.currentTime);
-    oscillator.stop(ctx.currentTime + 0.02);
+Reply with ONLY the corrected ${sections.map(section => `[${section}]`).join(' and ')} section${sections.length === 1 ? '' : 's'}, in the exact format from your instructions. Do not repeat or continue the narrative.`;
 }
 
-function playDiceTickSound() {
-    if (isSoundMuted) return;
+// Rebuilds the reply as original narrative + repaired (or original) sections
+function mergeRepairedSections(text, repairText, sections) {
+    const parts = [extractNarrativeSection(text)];
 
-    const ctx = initAudioContext();
-    const oscillator = ctx.createOscillator();
-    const gainNode = ctx.createGain();
+    ['STATE UPDATE', 'OPTIONS'].forEach(section => {
+        const repaired = sections.includes(section) ? extractResponseSection(repairText, section) : null;
+        const content = repaired || extractResponseSection(text, section);
+        if (content) parts.push(`[${section}]\n${content}`);
+    });
 
-    oscillator.connect(gainNode);
-    gainNode.connect(ctx.destination);
+    return parts.join('\n\n');
+}
 
-    // Short beep with varying pitch
-    oscillator.type = 'sine';
-    oscillator.frequency.value = 400 + Math.random() * 300; // Random pitch beep
+async function repairResponseFormat(provider, providerSettings, userMessage, result) {
+    // Structured turns are checked field by field in parseStructuredTurn instead
+    if (result.turn) return result;
 
-    gainNode.gain.setValueAtTime(0.08, ctx.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.06);
+    let text = result.text;
+    for (let attempt = 1; attempt <= GAME_CONSTANTS.maxFormatRepairs; attempt++) {
+        const validation = validateGameMasterResponse({ text, turn: null });
+        const sections = getSectionsToRepair(validation);
+        if (sections.length === 0) break;
 
-    oscillator.start(ctx.currentTime);
-    oscillator.stop(ctx.currentTime + 0.06);
-}
+        console.log(`🔧 Reply broke the format, asking again for [${sections.join('] and [')}] (attempt ${attempt})`);
+        const exchange = [
+            { role: 'user', content: userMessage },
+            { role: 'assistant', content: text }
+        ];
 
-function playSuccessSound() {
-    if (isSoundMuted) return;
+        try {
+            const repair = await provider.call(formatRepairRequest(sections, validation.problems), null, providerSettings, exchange);
 
-    const ctx = initAudioContext();
+            // Claude may answer the correction with the report_turn tool instead
+            if (repair.turn) {
+                return { text: extractNarrativeSection(text), turn: repair.turn };
+            }
+            text = mergeRepairedSections(text, repair.text, sections);
+        } catch (error) {
+            // The unrepaired reply is still playable thanks to the parser's fallbacks
+            console.warn('⚠️ Format repair failed, keeping the original reply:', error.message);
+            break;
+        }
+    }
 
-    // Series of ascending beeps: 500Hz -> 650Hz -> 800Hz
-    [0, 0.08, 0.16].forEach((delay, index) => {
-        const oscillator = ctx.createOscillator();
-        const gainNode = ctx.createGain();
+    return { ...result, text };
+}
 
-        oscillator.connect(gainNode);
-        gainNode.connect(ctx.destination);
+// ===== LONG-TERM MEMORY =====
+// Messages pruned from conversationHistory are condensed into a running "story so far" and a
+// list of key facts (characters, places, open threads) that go out with the system prompt, so
+// the Game Master still knows what happened before the turns that fit its context. The
+// condensing request is a side request (see buildSideContext): its own short system prompt,
+// no history and no tools. It runs after a turn is shown, so players never wait on it, and
+// after a failure it backs off for a few turns instead of paying for a retry every turn.
+// The mock Game Masters recognize memory requests by this opening line
+const MEMORY_REQUEST_INTRO = 'Update your long-term memory of this run.';
 
-        oscillator.type = 'sine';
-        oscillator.frequency.value = 500 + (index * 150);
+const MEMORY_SYSTEM_PROMPT = `You keep the long-term memory of a text adventure set in the No Man's Sky universe. You are given turns that are leaving the Game Master's conversation and the memory kept so far. Reply in plain text with exactly the two sections you are asked for, and nothing else.`;
 
-        gainNode.gain.setValueAtTime(0.1, ctx.currentTime + delay);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + delay + 0.07);
+let memoryUpdateInFlight = null; // The running updateLongTermMemory call, so only one runs at a time
 
-        oscillator.start(ctx.currentTime + delay);
-        oscillator.stop(ctx.currentTime + delay + 0.07);
-    });
+function createEmptyMemory() {
+    // failures and retryTurn hold off condensing again after failed attempts
+    return { summary: '', facts: [], pending: [], updatedTurn: null, failures: 0, retryTurn: null };
 }
 
-function playFailureSound() {
-    if (isSoundMuted) return;
+function getMemoryPrompt(memory) {
+    if (!memory || (!memory.summary && memory.facts.length === 0)) return '';
 
-    const ctx = initAudioContext();
+    let prompt = '\n\nLONG-TERM MEMORY (earlier turns no longer in the conversation - stay consistent with them):';
+    if (memory.summary) {
+        prompt += `\nStory so far: ${memory.summary}`;
+    }
+    if (memory.facts.length > 0) {
+        prompt += `\nKey facts:\n${memory.facts.map(fact => `- ${fact}`).join('\n')}`;
+    }
+    return prompt;
+}
 
-    // Series of descending beeps: 400Hz -> 300Hz -> 200Hz
-    [0, 0.09, 0.18].forEach((delay, index) => {
-        const oscillator = ctx.createOscillator();
-        const gainNode = ctx.createGain();
+// Narrative only: the [CURRENT STATE] of old turns and their options are noise for a summary
+function formatMemoryTranscript(messages) {
+    return messages.map(message => message.role === 'user'
+        ? `Player: ${message.content.split('\n\n[CURRENT STATE]')[0].trim()}`
+        : `Game Master: ${extractNarrativeSection(message.content)}`
+    ).join('\n\n');
+}
 
-        oscillator.connect(gainNode);
-        gainNode.connect(ctx.destination);
+function formatMemoryRequest(memory, messages) {
+    const facts = memory.facts.length > 0 ? memory.facts.map(fact => `- ${fact}`).join('\n') : '(none yet)';
 
-        oscillator.type = 'sine';
-        oscillator.frequency.value = 400 - (index * 100);
+    return `${MEMORY_REQUEST_INTRO} These earlier turns are leaving the conversation:
 
-        gainNode.gain.setValueAtTime(0.1, ctx.currentTime + delay);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + delay + 0.08);
+${formatMemoryTranscript(messages)}
 
-        oscillator.start(ctx.currentTime + delay);
-        oscillator.stop(ctx.currentTime + delay + 0.08);
-    });
+Your memory so far:
+Story so far: ${memory.summary || '(nothing yet)'}
+Key facts:
+${facts}
+
+Reply with ONLY these two sections. No narrative, no state update, no options:
+[STORY SO FAR]
+The whole run up to and including these turns in at most 150 words.
+[KEY FACTS]
+- One per line: named characters and aliens, places, notable items, promises and unresolved threads. At most ${GAME_CONSTANTS.maxMemoryFacts}; drop facts that no longer matter.`;
 }
 
-function toggleMute() {
-    isSoundMuted = !isSoundMuted;
-    localStorage.setItem('nmstxt_sound_muted', isSoundMuted ? 'true' : 'false');
-    updateMuteButtonUI();
+function extractMemorySection(text, section) {
+    const match = text.match(new RegExp(`\\[${section}\\]([\\s\\S]*?)(?=\\[(?:STORY SO FAR|KEY FACTS)\\]|$)`, 'i'));
+    return match ? match[1].trim() : null;
 }
 
-function updateMuteButtonUI() {
-    const btn = document.getElementById('mute-btn');
-    if (btn) {
-        btn.textContent = isSoundMuted ? 'Unmute' : 'Mute';
-        btn.setAttribute('aria-label', isSoundMuted ? 'Unmute sounds' : 'Mute sounds');
-    }
+// One fact per line; list markers are optional. Also used for facts edited in the memory modal.
+function parseMemoryFacts(text) {
+    return text.split('\n')
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+\.)\s*/, '').trim())
+        .filter(Boolean)
+        .slice(0, GAME_CONSTANTS.maxMemoryFacts);
 }
 
-function loadSoundSettings() {
-    const stored = localStorage.getItem('nmstxt_sound_muted');
-    isSoundMuted = stored === 'true';
-    updateMuteButtonUI();
+function parseMemoryUpdate(text) {
+    const summary = extractMemorySection(text, 'STORY SO FAR');
+    if (!summary) return null;
+    return { summary, facts: parseMemoryFacts(extractMemorySection(text, 'KEY FACTS') || '') };
 }
 
-// ===== RESPONSE PARSING =====
-function detectDeathInNarrative(narrative) {
-    const text = narrative.toLowerCase();
-    const deathPhrases = [
-        /you\s+(die|died|have died|are dead)/,
-        /your\s+death/,
-        /(succumb|perish|perished)/,
-        /(life|consciousness)\s+(fades|slips away)/,
-        /(last|final)\s+breath/,
-        /cease\s+to\s+exist/,
-        /game\s+over/,
-        /the\s+end\s+(has\s+)?come/,
-        /no\s+survivors/,
-        /you\s+are\s+dead/,
-        /breath\s+stops/,
-        /consciousness\s+fades/
-    ];
-    const isDead = deathPhrases.some(pattern => pattern.test(text));
-    if (isDead) {
-        console.log('💀 Death detected in narrative');
+// Condenses pending messages once a batch has built up, or whatever is pending with force.
+// A failed update keeps them pending and waits 1, 2, 4... turns before the next try (force
+// skips the wait). Returns whether memory changed.
+async function updateLongTermMemory(force = false) {
+    while (memoryUpdateInFlight) {
+        if (!force) return false; // The running update takes what's pending
+        await memoryUpdateInFlight.catch(() => {});
+    }
+    memoryUpdateInFlight = condenseMemory(force);
+    try {
+        return await memoryUpdateInFlight;
+    } finally {
+        memoryUpdateInFlight = null;
     }
-    return isDead;
 }
 
-function parseGameMasterResponse(text) {
-    console.log('🎮 Parsing AI response...');
-    console.log('Raw response:', text);
+async function condenseMemory(force) {
+    const state = gameState;
+    const memory = state.memory;
+    if (memory.pending.length === 0 || (!force && memory.pending.length < GAME_CONSTANTS.memoryBatchMessages)) {
+        return false;
+    }
+    if (!force && memory.retryTurn !== null && memory.retryTurn !== undefined && state.transcript.length < memory.retryTurn) {
+        return false;
+    }
 
-    const originalText = text;
-    const parsed = {
-        narrative: '',
-        stateUpdate: null,
-        options: []
-    };
+    const settings = getSettings();
+    const provider = getAIProvider(settings.aiModel);
+    if (!provider.checkAvailability(settings).available) return false;
+
+    // Oldest first, no more than half the prompt budget so the request itself fits
+    const budget = getContextBudget(provider.name, getProviderSettings(provider, settings));
+    const batch = [];
+    let batchTokens = 0;
+    for (const message of memory.pending) {
+        batchTokens += estimateMessageTokens([message], budget.charsPerToken);
+        if (batch.length > 0 && batchTokens > budget.promptTokens / 2) break;
+        batch.push(message);
+    }
+    console.log(`🧠 Condensing ${batch.length} older messages into long-term memory`);
 
-    // Extract state update
-    const stateMatch = text.match(/\[STATE UPDATE\]([\s\S]*?)(?:\[OPTIONS\]|$)/i);
-    if (stateMatch) {
-        console.log('📋 Found STATE UPDATE section:', stateMatch[1].trim());
-        parsed.stateUpdate = parseStateUpdate(stateMatch[1].trim());
-        // Remove state update from text
-        text = text.replace(/\[STATE UPDATE\][\s\S]*?(?=\[OPTIONS\]|$)/i, '');
-    } else {
-        console.log('⚠️ No STATE UPDATE section found');
+    try {
+        const context = buildSideContext(MEMORY_SYSTEM_PROMPT, formatMemoryRequest(memory, batch));
+        const result = await provider.complete(context, getProviderSettings(provider, settings));
+        const update = parseMemoryUpdate(result.text || '');
+        if (!update) {
+            throw new Error('reply had no [STORY SO FAR] section');
+        }
+
+        memory.summary = update.summary;
+        memory.facts = update.facts;
+        memory.pending.splice(0, batch.length);
+        memory.updatedTurn = state.transcript.length;
+        memory.failures = 0;
+        memory.retryTurn = null;
+        return true;
+    } catch (error) {
+        // Nothing is dropped: the batch stays pending until an update succeeds
+        memory.failures = (memory.failures || 0) + 1;
+        const wait = Math.min(2 ** (memory.failures - 1), GAME_CONSTANTS.maxMemoryRetryTurns);
+        memory.retryTurn = state.transcript.length + wait;
+        console.warn(`⚠️ Memory update failed, will try again in ${wait} turn(s):`, error.message);
+        return false;
     }
+}
 
-    // Extract options
-    const optionsMatch = text.match(/\[OPTIONS\]([\s\S]*?)$/i);
-    if (optionsMatch) {
-        console.log('📋 Found OPTIONS section');
-        parsed.options = parseOptions(optionsMatch[1].trim());
-        // Remove options from text
-        text = text.replace(/\[OPTIONS\][\s\S]*$/, '');
-    } else {
-        console.log('⚠️ No OPTIONS section found, trying fallback parser...');
+// ===== PROMPT CACHING =====
+// Cache breakpoints go on the stable prefix of each request: the rules, the long-term memory
+// after them, then everything up to the newest history message. A memory update only rewrites
+// the cache from the memory block on; the rules stay cached. Writing a prefix costs 1.25x the
+// input price and only pays off when later turns read it back at 0.1x, so history is pruned in
+// chunks (see pruneConversationHistory) and stays put for several turns. Prefixes under the
+// model's minimum (2048 tokens for Haiku) aren't cached at all, so the first turns of a run
+// show no cache reads. Debug Tools shows the measured savings, which can be negative.
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+// Input price multipliers relative to uncached input tokens
+const PROMPT_CACHE_PRICING = { write: 1.25, read: 0.1 };
+
+const promptCacheStats = { requests: 0, inputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, last: null };
+
+function applyPromptCaching(context) {
+    const system = [{ type: 'text', text: context.rules, cache_control: CACHE_CONTROL }];
+    if (context.memory) {
+        system.push({ type: 'text', text: context.memory, cache_control: CACHE_CONTROL });
     }
 
-    // Fallback: if no options found, try to extract numbered lists from anywhere
-    if (parsed.options.length === 0) {
-        console.log('🔍 Using fallback parser to find options...');
-        parsed.options = parseOptionsFromAnywhere(originalText);
+    const messages = context.messages.map((message, index) => index === context.historyLength - 1
+        ? { role: message.role, content: [{ type: 'text', text: message.content, cache_control: CACHE_CONTROL }] }
+        : message);
 
-        // Remove the found options from the narrative
-        if (parsed.options.length > 0) {
-            console.log(`✅ Fallback parser found ${parsed.options.length} options`);
-            // Remove lines that match our options from the narrative
-            const lines = text.split('\n');
-            const filteredLines = lines.filter(line => {
-                const isOptionLine = /^\s*\d+\.\s*.+/.test(line);
-                return !isOptionLine;
-            });
-            text = filteredLines.join('\n');
-        }
-    }
+    return { system, messages };
+}
 
-    // Everything else is narrative
-    parsed.narrative = text.trim();
+function recordPromptCacheUsage(usage) {
+    if (!usage) return;
 
-    // Check for death in narrative
-    parsed.isPlayerDead = detectDeathInNarrative(parsed.narrative);
+    const last = {
+        inputTokens: usage.input_tokens || 0,
+        cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+        cacheReadTokens: usage.cache_read_input_tokens || 0
+    };
+    promptCacheStats.requests += 1;
+    promptCacheStats.inputTokens += last.inputTokens;
+    promptCacheStats.cacheWriteTokens += last.cacheWriteTokens;
+    promptCacheStats.cacheReadTokens += last.cacheReadTokens;
+    promptCacheStats.last = last;
 
-    console.log('✅ Parse complete:', {
+    console.log(`💾 Prompt cache: ${last.cacheReadTokens} read, ${last.cacheWriteTokens} written, ${last.inputTokens} uncached input tokens`);
+}
+
+// Fraction of the input cost saved compared to sending every token uncached; negative when
+// cache writes cost more than the reads saved
+function getPromptCacheSavings(stats) {
+    const total = stats.inputTokens + stats.cacheWriteTokens + stats.cacheReadTokens;
+    if (total === 0) return 0;
+    const cost = stats.inputTokens
+        + stats.cacheWriteTokens * PROMPT_CACHE_PRICING.write
+        + stats.cacheReadTokens * PROMPT_CACHE_PRICING.read;
+    return 1 - cost / total;
+}
+
+function recordClaudeUsage(usage) {
+    recordPromptCacheUsage(usage);
+    recordAIUsage(CLAUDE_CONFIG.model, usage);
+}
+
+async function callClaudeBackend(context, onText = null) {
+    const authHeaders = getClaudeAuthHeaders();
+    const prompt = CLAUDE_CONFIG.promptCaching && !context.side
+        ? applyPromptCaching(context)
+        : { system: context.system, messages: context.messages };
+
+    const requestBody = {
+        model: CLAUDE_CONFIG.model,
+        max_tokens: CLAUDE_CONFIG.maxTokens,
+        temperature: CLAUDE_CONFIG.temperature,
+        system: prompt.system,
+        messages: prompt.messages,
+        apiVersion: CLAUDE_CONFIG.apiVersion,
+        stream: CLAUDE_CONFIG.stream
+    };
+
+    // Side requests (see buildSideContext) want plain text, never a report_turn call
+    if (isStructuredOutputEnabled(getSettings()) && !context.side) {
+        requestBody.tools = [GAME_MASTER_TOOL];
+        requestBody.tool_choice = { type: 'auto' };
+    }
+
+    try {
+        const response = await fetchAIEndpoint(CLAUDE_CONFIG.apiEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...authHeaders
+            },
+            body: JSON.stringify(requestBody)
+        }, 'Could not reach the game server. Check your connection.');
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                if (authHeaders['x-access-token']) {
+                    clearAccessToken();
+                    throw createAIError('auth', 'Invalid access token. Please enter it again.', { status: 401 });
+                }
+                clearApiKey();
+                throw createAIError('auth', 'Invalid API key. Please enter a new one.', { status: 401 });
+            }
+
+            const data = await response.json().catch(() => null);
+            if (response.status === 429) {
+                throw classifyHttpError(response, describeRateLimitError(data));
+            }
+            throw classifyHttpError(response, data?.error?.message || `API error: ${response.status}`);
+        }
+
+        // Older proxies ignore the stream flag and still answer with JSON
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType.includes('text/event-stream')) {
+            const { usage, ...result } = await readClaudeStream(response, onText);
+            recordClaudeUsage(usage);
+            return result;
+        }
+
+        const data = await response.json();
+        recordClaudeUsage(data.usage);
+        return extractClaudeTurn(data.content);
+
+    } catch (error) {
+        console.error('Claude API error:', error);
+        throw error;
+    }
+}
+
+function describeRateLimitError(data) {
+    const error = data?.error;
+
+    // Proxy limits report when they reset; Anthropic's own 429s do not
+    if (!error?.reset_at) {
+        return 'Rate limited by the API. Please wait a moment and try again.';
+    }
+
+    const resetAt = new Date(error.reset_at);
+    const sameDay = resetAt.toDateString() === new Date().toDateString();
+    const resetText = sameDay ? resetAt.toLocaleTimeString() : resetAt.toLocaleString();
+    return `${error.message} Try again after ${resetText}.`;
+}
+
+function extractClaudeTurn(content) {
+    const text = content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    const toolUse = content.find(block => block.type === 'tool_use' && block.name === GAME_MASTER_TOOL.name);
+
+    return { text, turn: toolUse ? toolUse.input : null };
+}
+
+async function readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+        // Events are separated by a blank line; keep any incomplete event in the buffer
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const event = parseServerSentEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (event) onEvent(event);
+        }
+    }
+}
+
+async function readClaudeStream(response, onText) {
+    let text = '';
+    let toolJson = null; // Partial JSON for the report_turn tool input
+    let turn = null;
+    const usage = {}; // Input and cache counts arrive in message_start, output in message_delta
+
+    await readServerSentEvents(response, (event) => {
+        const eventUsage = event.type === 'message_start' ? event.message?.usage : event.usage;
+        if (eventUsage) Object.assign(usage, eventUsage);
+
+        if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+            toolJson = event.content_block.name === GAME_MASTER_TOOL.name ? '' : null;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            if (onText) onText(text);
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+            if (toolJson !== null) toolJson += event.delta.partial_json;
+        } else if (event.type === 'content_block_stop' && toolJson !== null) {
+            try {
+                turn = JSON.parse(toolJson || '{}');
+            } catch (e) {
+                console.warn('⚠️ Could not parse structured turn, falling back to text parser');
+            }
+            toolJson = null;
+        } else if (event.type === 'error') {
+            // Errors after the stream started arrive as an event instead of a status code
+            const kind = event.error?.type === 'overloaded_error' ? 'overloaded'
+                : event.error?.type === 'rate_limit_error' ? 'rate_limit'
+                    : 'server';
+            throw createAIError(kind, `API error: ${event.error?.message || 'stream interrupted'}`);
+        }
+    });
+
+    console.log('✅ Stream complete');
+    return { text, turn, usage };
+}
+
+function parseServerSentEvent(rawEvent) {
+    const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+
+    // OpenAI-compatible servers end the stream with a literal [DONE]
+    if (!data || data === '[DONE]') return null;
+
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        console.warn('⚠️ Skipping malformed stream event:', data);
+        return null;
+    }
+}
+
+async function callWebLLMBackend(context) {
+    return await callWebLLM(context.messages, context.system);
+}
+
+async function callOpenAICompatibleBackend(context, onText, providerSettings) {
+    const baseUrl = providerSettings.baseUrl.replace(/\/+$/, '');
+    const messages = [
+        { role: 'system', content: context.system },
+        ...context.messages
+    ];
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (providerSettings.apiKey) {
+        headers.Authorization = `Bearer ${providerSettings.apiKey}`;
+    }
+
+    try {
+        // Unreachable hosts and CORS failures look the same from here
+        const response = await fetchAIEndpoint(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: providerSettings.model,
+                messages: messages,
+                max_tokens: OPENAI_COMPATIBLE_CONFIG.maxTokens,
+                temperature: OPENAI_COMPATIBLE_CONFIG.temperature,
+                stream: OPENAI_COMPATIBLE_CONFIG.stream,
+                // Without this, streamed replies carry no usage at all
+                ...(OPENAI_COMPATIBLE_CONFIG.stream && { stream_options: { include_usage: true } })
+            })
+        }, `Could not reach ${baseUrl}. Check the server is running and allows this origin (CORS).`);
+
+        if (!response.ok) {
+            throw classifyHttpError(response, `Local server error: ${response.status}`);
+        }
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('text/event-stream')) {
+            const data = await response.json();
+            recordAIUsage(providerSettings.model, data.usage);
+            return { text: data.choices[0].message.content, turn: null };
+        }
+
+        let text = '';
+        let usage = null; // Sent in a final chunk by servers that support stream_options
+        await readServerSentEvents(response, (event) => {
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                if (onText) onText(text);
+            }
+            if (event.usage) usage = event.usage;
+        });
+        if (!usage) {
+            // Servers that ignore stream_options still get counted, by the same estimate buildContext uses
+            const { charsPerToken } = AI_PROVIDERS.openai.contextBudget(providerSettings);
+            usage = {
+                prompt_tokens: estimateTokens(context.system, charsPerToken) + estimateMessageTokens(context.messages, charsPerToken),
+                completion_tokens: estimateTokens(text, charsPerToken)
+            };
+            console.log('📏 Server sent no usage, estimated', usage);
+        }
+        recordAIUsage(providerSettings.model, usage);
+        return { text, turn: null };
+
+    } catch (error) {
+        console.error('OpenAI-compatible server error:', error);
+        throw error;
+    }
+}
+
+let mockGameMasterFixtures = null; // Promise of { script, sideReplies }, fetched on first use
+
+// .txt fixtures are plain text replies; .json fixtures are a string, { text, turn } or
+// { status, body }, as in proxy mock mode (functions/_lib/mock-game-master.mjs)
+async function fetchMockFixture(name) {
+    const response = await fetch(MOCK_GAME_MASTER_CONFIG.fixtureDir + name);
+    if (!response.ok) {
+        throw createAIError('server', `Could not load mock fixture ${name} (HTTP ${response.status})`);
+    }
+    if (name.endsWith('.txt')) return { text: await response.text(), turn: null };
+
+    const fixture = await response.json();
+    return typeof fixture === 'string' ? { text: fixture, turn: null } : fixture;
+}
+
+function loadMockGameMasterFixtures() {
+    if (!mockGameMasterFixtures) {
+        const { fixtures, sideReplies } = MOCK_GAME_MASTER_CONFIG;
+        mockGameMasterFixtures = Promise.all([
+            Promise.all(fixtures.map(fetchMockFixture)),
+            fetchMockFixture(sideReplies.memory),
+            fetchMockFixture(sideReplies.repair)
+        ]).then(([script, memory, repair]) => ({ script, sideReplies: { memory, repair } }));
+
+        // Try again next call rather than caching a failed load
+        mockGameMasterFixtures.catch(() => { mockGameMasterFixtures = null; });
+    }
+    return mockGameMasterFixtures;
+}
+
+// Picks the reply for this turn by transcript length, so every new game replays the script.
+// A call with an exchange is a format repair and gets side-replies/repair.txt.
+async function callMockBackend(userMessage, onText, providerSettings, exchange = []) {
+    const { script, sideReplies } = await loadMockGameMasterFixtures();
+
+    if (userMessage.startsWith(MEMORY_REQUEST_INTRO)) {
+        console.log('🎭 Mock Game Master condensing its memory');
+        return { text: sideReplies.memory.text, turn: null };
+    }
+    if (exchange.length > 0) {
+        console.log('🎭 Mock Game Master repairing its reply');
+        return { text: sideReplies.repair.text, turn: null };
+    }
+
+    const sequence = (providerSettings.sequence || '')
+        .split(',')
+        .map(entry => parseInt(entry, 10) - 1)
+        .filter(index => index >= 0 && index < script.length);
+    const order = sequence.length > 0 ? sequence : script.map((_, index) => index);
+    const fixture = script[order[Math.min(gameState.transcript.length, order.length - 1)]];
+
+    console.log('🎭 Mock Game Master reply for turn', gameState.transcript.length);
+
+    if (fixture.status) {
+        throw classifyHttpError({ status: fixture.status, headers: new Headers() }, fixture.body?.error?.message || `API error: ${fixture.status}`);
+    }
+
+    const reply = fixture.text || '';
+    let text = '';
+    for (let i = 0; i < reply.length; i += MOCK_GAME_MASTER_CONFIG.chunkChars) {
+        await new Promise(resolve => setTimeout(resolve, MOCK_GAME_MASTER_CONFIG.chunkDelay));
+        text += reply.slice(i, i + MOCK_GAME_MASTER_CONFIG.chunkChars);
+        if (onText) onText(text);
+    }
+    return { text, turn: fixture.turn || null };
+}
+
+function formatUserMessage(action, diceRoll = null) {
+    let message = action + '\n\n[CURRENT STATE]\n';
+    message += `Location: ${gameState.currentLocation.planetName} (${gameState.currentLocation.planetType})\n`;
+    message += `Ship Health: ${gameState.ship.health}%\n`;
+    message += `Fuel: ${gameState.ship.fuel} units\n`;
+    message += `Inventory: ${formatInventoryText(gameState.inventory)}\n`;
+    message += `Distance from Center: ${gameState.currentLocation.distanceFromCenter} LY`;
+
+    if (diceRoll) {
+        message += '\n\n[DICE ROLL RESULT]\n';
+        message += `Roll: ${diceRoll.roll}`;
+        if (diceRoll.bonuses !== 0) {
+            message += ` + ${diceRoll.bonuses}`;
+        }
+        message += ` = ${diceRoll.total} vs DC ${diceRoll.dc}\n`;
+        message += `Result: ${diceRoll.success ? 'SUCCESS' : 'FAILURE'}`;
+        if (diceRoll.criticalSuccess) {
+            message += ' (Critical Success!)';
+        }
+        if (diceRoll.criticalFailure) {
+            message += ' (Critical Failure!)';
+        }
+    }
+
+    // Add brevity reminder based on mode
+    const settings = getSettings();
+    if (settings.narrativeLength === 'concise') {
+        message += '\n\n[REMINDER: Maximum 300 characters total - this is a HARD LIMIT]';
+    } else {
+        message += '\n\n[REMINDER: 1-2 paragraphs maximum]';
+    }
+
+    return message;
+}
+
+function formatInventoryText(inventory) {
+    const items = Object.entries(inventory)
+        .filter(([key, val]) => val > 0)
+        .map(([key, val]) => `${capitalize(key)} x${val}`)
+        .join(', ');
+    return items || 'Empty';
+}
+
+// ===== AI PROVIDERS =====
+// Each provider declares how it is shown in settings, which extra settings fields it
+// needs, whether it can be used right now, and how to run a turn:
+// call(userMessage, onText, providerSettings, exchange) resolves to { text, turn } (see callAI).
+// exchange holds extra messages sent between the history and userMessage for that call only.
+// complete(context, providerSettings) resolves to { text } for a side request outside the game
+// conversation, such as the memory update; context comes from buildSideContext.
+// contextBudget(providerSettings) returns { contextTokens, replyTokens, charsPerToken }, the
+// request size the backend can take and how to estimate tokens from text (see CONTEXT BUDGET).
+const AI_PROVIDERS = {};
+
+function registerAIProvider(provider) {
+    AI_PROVIDERS[provider.name] = provider;
+}
+
+function getAIProvider(name) {
+    return AI_PROVIDERS[name] || AI_PROVIDERS.claude;
+}
+
+function getProviderSettings(provider, settings) {
+    const stored = settings.providerSettings?.[provider.name] || {};
+    const values = {};
+    provider.settingsFields.forEach(field => {
+        values[field.key] = stored[field.key] !== undefined ? stored[field.key] : field.default;
+    });
+    return values;
+}
+
+registerAIProvider({
+    name: 'claude',
+    label: 'Claude API',
+    description: 'Best quality, requires API key',
+    selectedMessage: 'Switched to Claude API. You will need a valid API key to continue.',
+    settingsFields: [],
+    checkAvailability() {
+        if (getApiKey() || serverConfig.mock) return { available: true };
+        if (serverConfig.serverKey) {
+            return getAccessToken()
+                ? { available: true }
+                : { available: false, reason: 'Access token required' };
+        }
+        return { available: false, reason: 'API key required' };
+    },
+    contextBudget: () => ({ contextTokens: CLAUDE_CONFIG.contextTokens, replyTokens: CLAUDE_CONFIG.maxTokens, charsPerToken: 3.5 }),
+    call: (userMessage, onText, providerSettings, exchange) => callClaudeBackend(buildContext('claude', providerSettings, userMessage, exchange), onText),
+    complete: (context) => callClaudeBackend(context)
+});
+
+registerAIProvider({
+    name: 'webllm',
+    label: 'WebLLM - Llama 3.2',
+    description: 'Free, runs in browser, ~2GB download',
+    selectedMessage: 'WebLLM will download ~2GB on first use (Llama 3.2 model). The model runs entirely in your browser with no API costs.',
+    settingsFields: [],
+    checkAvailability() {
+        return 'gpu' in navigator
+            ? { available: true }
+            : { available: false, reason: 'WebLLM needs WebGPU, which this browser does not support.' };
+    },
+    // Llama's tokenizer averages about 4 chars per token in English; 3 leaves room for names and numbers
+    contextBudget: () => ({ contextTokens: WEBLLM_CONFIG.contextTokens, replyTokens: WEBLLM_CONFIG.maxTokens, charsPerToken: 3 }),
+    call: async (userMessage, onText, providerSettings, exchange) => ({
+        text: await callWebLLMBackend(buildContext('webllm', providerSettings, userMessage, exchange)),
+        turn: null
+    }),
+    complete: async (context) => ({ text: await callWebLLMBackend(context), turn: null })
+});
+
+registerAIProvider({
+    name: 'openai',
+    label: 'OpenAI-compatible server',
+    description: 'Local or LAN server such as llama.cpp or Ollama (/v1/chat/completions)',
+    selectedMessage: 'Using an OpenAI-compatible server. Set its URL and model below. The server must allow requests from this page (CORS).',
+    settingsFields: [
+        { key: 'baseUrl', label: 'Server URL', type: 'url', default: OPENAI_COMPATIBLE_CONFIG.defaultBaseUrl },
+        { key: 'model', label: 'Model', type: 'text', default: OPENAI_COMPATIBLE_CONFIG.defaultModel },
+        { key: 'apiKey', label: 'API Key (optional)', type: 'password', default: '' },
+        { key: 'contextTokens', label: 'Context window (tokens)', type: 'text', default: String(OPENAI_COMPATIBLE_CONFIG.defaultContextTokens) }
+    ],
+    checkAvailability(settings) {
+        const values = getProviderSettings(this, settings);
+        if (!values.baseUrl || !values.model) {
+            return { available: false, reason: 'Set a server URL and model for the OpenAI-compatible provider in Settings.' };
+        }
+        return { available: true };
+    },
+    contextBudget: (providerSettings) => ({
+        contextTokens: parseInt(providerSettings.contextTokens, 10) || OPENAI_COMPATIBLE_CONFIG.defaultContextTokens,
+        replyTokens: OPENAI_COMPATIBLE_CONFIG.maxTokens,
+        charsPerToken: 3
+    }),
+    call: (userMessage, onText, providerSettings, exchange) => callOpenAICompatibleBackend(buildContext('openai', providerSettings, userMessage, exchange), onText, providerSettings),
+    complete: (context, providerSettings) => callOpenAICompatibleBackend(context, null, providerSettings)
+});
+
+registerAIProvider({
+    name: 'mock',
+    label: 'Mock Game Master',
+    description: 'Scripted replies for offline development, no model or key needed',
+    selectedMessage: 'Using the mock Game Master. Replies come from a fixed script, so nothing is sent anywhere.',
+    settingsFields: [
+        { key: 'sequence', label: 'Script order (e.g. 1,2,4; empty plays in order)', type: 'text', default: '' }
+    ],
+    checkAvailability() {
+        return { available: true };
+    },
+    // Same budget as Claude, so the context report reflects what a real turn would send
+    contextBudget: () => ({ contextTokens: CLAUDE_CONFIG.contextTokens, replyTokens: CLAUDE_CONFIG.maxTokens, charsPerToken: 3.5 }),
+    call: (userMessage, onText, providerSettings, exchange) => {
+        buildContext('mock', providerSettings, userMessage, exchange); // Nothing is sent, but keep the report current
+        return callMockBackend(userMessage, onText, providerSettings, exchange);
+    },
+    complete: (context, providerSettings) => callMockBackend(context.messages[context.messages.length - 1].content, null, providerSettings)
+});
+
+// ===== CONTEXT BUDGET =====
+// Requests are fitted to the provider's budget in tokens rather than by message count: the
+// system prompt (with long-term memory), the current state message and any one-off exchange
+// always go, then as many recent turns as still fit, newest first, in whole user/assistant
+// pairs. Estimates are character-based; close enough to stay inside the window, with no
+// tokenizer to download. The last build is reported in Debug Tools.
+const MESSAGE_TOKEN_OVERHEAD = 4; // Role markers and separators per message
+
+let lastContextReport = null;
+
+function estimateTokens(text, charsPerToken) {
+    return Math.ceil(text.length / charsPerToken);
+}
+
+function estimateMessageTokens(messages, charsPerToken) {
+    return messages.reduce((total, message) => total + estimateTokens(message.content, charsPerToken) + MESSAGE_TOKEN_OVERHEAD, 0);
+}
+
+function getContextBudget(providerName, providerSettings) {
+    const budget = AI_PROVIDERS[providerName].contextBudget(providerSettings);
+    return { ...budget, promptTokens: budget.contextTokens - budget.replyTokens };
+}
+
+// How many of the newest history messages fit in tokens, counted in whole pairs
+function countFittingHistory(history, tokens, charsPerToken) {
+    let count = 0;
+    let used = 0;
+    while (count + 2 <= history.length) {
+        const pair = history.slice(history.length - count - 2, history.length - count);
+        const pairTokens = estimateMessageTokens(pair, charsPerToken);
+        if (used + pairTokens > tokens) break;
+        used += pairTokens;
+        count += 2;
+    }
+
+    // Saves from before the opening was stored as a pair start with a lone assistant message
+    if (count === history.length - 1 && history[0].role === 'assistant'
+        && used + estimateMessageTokens([history[0]], charsPerToken) <= tokens) {
+        count += 1;
+    }
+    return count;
+}
+
+function buildContext(providerName, providerSettings, userMessage, exchange = []) {
+    const budget = getContextBudget(providerName, providerSettings);
+    const memoryPrompt = getMemoryPrompt(gameState.memory);
+    const rules = getGameMasterRules();
+    const system = rules + memoryPrompt;
+    const history = gameState.conversationHistory;
+
+    const systemTokens = estimateTokens(system, budget.charsPerToken);
+    const stateTokens = estimateMessageTokens([{ role: 'user', content: userMessage }], budget.charsPerToken);
+    const exchangeTokens = estimateMessageTokens(exchange, budget.charsPerToken);
+    const fixedTokens = systemTokens + stateTokens + exchangeTokens;
+
+    const kept = countFittingHistory(history, Math.max(0, budget.promptTokens - fixedTokens), budget.charsPerToken);
+    const included = history.slice(history.length - kept);
+    const historyTokens = estimateMessageTokens(included, budget.charsPerToken);
+
+    lastContextReport = {
+        timestamp: Date.now(),
+        provider: providerName,
+        budget,
+        systemTokens,
+        memoryTokens: estimateTokens(memoryPrompt, budget.charsPerToken),
+        stateTokens,
+        exchangeTokens,
+        historyTokens,
+        keptMessages: kept,
+        droppedMessages: history.length - kept,
+        totalTokens: fixedTokens + historyTokens
+    };
+
+    if (lastContextReport.droppedMessages > 0) {
+        console.log(`📏 Context budget: sending ${kept} of ${history.length} history messages to ${providerName}`);
+    }
+    if (fixedTokens > budget.promptTokens) {
+        console.warn(`⚠️ System prompt and state alone (~${fixedTokens} tokens) exceed the ${budget.promptTokens} token budget for ${providerName}`);
+    }
+
+    return {
+        system,
+        rules,
+        memory: memoryPrompt.trim(),
+        historyLength: included.length,
+        messages: [...included, ...exchange, { role: 'user', content: userMessage }]
+    };
+}
+
+// A one-off request outside the game conversation: its own system prompt and a single user
+// message, no history. Backends send it without tools or cache breakpoints.
+function buildSideContext(system, userMessage) {
+    return {
+        system,
+        historyLength: 0,
+        messages: [{ role: 'user', content: userMessage }],
+        side: true
+    };
+}
+
+// How many history messages the active provider will have room for next turn, assuming a
+// state message about the size of this one. Anything older is pruned into long-term memory.
+function getHistoryRoom(userMessage) {
+    const settings = getSettings();
+    const provider = getAIProvider(settings.aiModel);
+    const budget = getContextBudget(provider.name, getProviderSettings(provider, settings));
+    const fixedTokens = estimateTokens(getSystemPrompt(), budget.charsPerToken)
+        + estimateMessageTokens([{ role: 'user', content: userMessage }], budget.charsPerToken);
+
+    return countFittingHistory(gameState.conversationHistory, Math.max(0, budget.promptTokens - fixedTokens), budget.charsPerToken);
+}
+
+// ===== UTILITY FUNCTIONS =====
+function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ===== SOUND SYSTEM =====
+let audioContext = null;
+let isSoundMuted = false;
+
+function initAudioContext() {
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return audioContext;
+}
+
+function playClickSound() {
+    if (isSoundMuted) return;
+
+    const ctx = initAudioContext();
+
+    // Create mechanical click with brief noise burst
+    const oscillator1 = ctx.createOscillator();
+    const oscillator2 = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+
+    oscillator1.connect(gainNode);
+    oscillator2.connect(gainNode);
+    gainNode.connect(ctx.destination);
+
+    // Two frequencies for mechanical click effect
+    oscillator1.type = 'square';
+    oscillator1.frequency.value = 180;
+    oscillator2.type = 'square';
+    oscillator2.frequency.value = 220;
+
+    // Very short, sharp envelope for click
+    gainNode.gain.setValueAtTime(0.15, ctx.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.03);
+
+    oscillator1.start(ctx.currentTime);
+    oscillator1.stop(ctx.currentTime + 0.03);
+    oscillator2.start(ctx.currentTime);
+    oscillator2.stop(ctx.currentTime + 0.03);
+}
+
+function playHoverSound() {
+    if (isSoundMuted) return;
+
+    const ctx = initAudioContext();
+    const oscillator = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(ctx.destination);
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = 600;
+
+    // Very subtle, brief hover sound
+    gainNode.gain.setValueAtTime(0.03, ctx.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.02);
+
+    oscillator.start(ctx.currentTime);
+    oscillator.stop(ctx.currentTime + 0.02);
+}
+
+function playDiceTickSound() {
+    if (isSoundMuted) return;
+
+    const ctx = initAudioContext();
+    const oscillator = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(ctx.destination);
+
+    // Short beep with varying pitch
+    oscillator.type = 'sine';
+    oscillator.frequency.value = 400 + Math.random() * 300; // Random pitch beep
+
+    gainNode.gain.setValueAtTime(0.08, ctx.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.06);
+
+    oscillator.start(ctx.currentTime);
+    oscillator.stop(ctx.currentTime + 0.06);
+}
+
+function playSuccessSound() {
+    if (isSoundMuted) return;
+
+    const ctx = initAudioContext();
+
+    // Series of ascending beeps: 500Hz -> 650Hz -> 800Hz
+    [0, 0.08, 0.16].forEach((delay, index) => {
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(ctx.destination);
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = 500 + (index * 150);
+
+        gainNode.gain.setValueAtTime(0.1, ctx.currentTime + delay);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + delay + 0.07);
+
+        oscillator.start(ctx.currentTime + delay);
+        oscillator.stop(ctx.currentTime + delay + 0.07);
+    });
+}
+
+function playFailureSound() {
+    if (isSoundMuted) return;
+
+    const ctx = initAudioContext();
+
+    // Series of descending beeps: 400Hz -> 300Hz -> 200Hz
+    [0, 0.09, 0.18].forEach((delay, index) => {
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(ctx.destination);
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = 400 - (index * 100);
+
+        gainNode.gain.setValueAtTime(0.1, ctx.currentTime + delay);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + delay + 0.08);
+
+        oscillator.start(ctx.currentTime + delay);
+        oscillator.stop(ctx.currentTime + delay + 0.08);
+    });
+}
+
+function toggleMute() {
+    isSoundMuted = !isSoundMuted;
+    localStorage.setItem('nmstxt_sound_muted', isSoundMuted ? 'true' : 'false');
+    updateMuteButtonUI();
+}
+
+function updateMuteButtonUI() {
+    const btn = document.getElementById('mute-btn');
+    if (btn) {
+        btn.textContent = isSoundMuted ? 'Unmute' : 'Mute';
+        btn.setAttribute('aria-label', isSoundMuted ? 'Unmute sounds' : 'Mute sounds');
+    }
+}
+
+function loadSoundSettings() {
+    const stored = localStorage.getItem('nmstxt_sound_muted');
+    isSoundMuted = stored === 'true';
+    updateMuteButtonUI();
+}
+
+// ===== RESPONSE PARSING =====
+function detectDeathInNarrative(narrative) {
+    const text = narrative.toLowerCase();
+    const deathPhrases = [
+        /you\s+(die|died|have died|are dead)/,
+        /your\s+death/,
+        /(succumb|perish|perished)/,
+        /(life|consciousness)\s+(fades|slips away)/,
+        /(last|final)\s+breath/,
+        /cease\s+to\s+exist/,
+        /game\s+over/,
+        /the\s+end\s+(has\s+)?come/,
+        /no\s+survivors/,
+        /you\s+are\s+dead/,
+        /breath\s+stops/,
+        /consciousness\s+fades/
+    ];
+    const isDead = deathPhrases.some(pattern => pattern.test(text));
+    if (isDead) {
+        console.log('💀 Death detected in narrative');
+    }
+    return isDead;
+}
+
+function extractNarrativeSection(text) {
+    // Narrative ends at the first section marker
+    const upperText = text.toUpperCase();
+    let end = text.length;
+    RESPONSE_SECTION_MARKERS.forEach(marker => {
+        const index = upperText.indexOf(marker);
+        if (index !== -1 && index < end) end = index;
+    });
+
+    let narrative = text.slice(0, end);
+
+    // Hold back a marker that is still arriving, e.g. "[STATE UP"
+    const lastBracket = narrative.lastIndexOf('[');
+    if (lastBracket !== -1) {
+        const tail = narrative.slice(lastBracket).toUpperCase();
+        if (RESPONSE_SECTION_MARKERS.some(marker => marker.startsWith(tail))) {
+            narrative = narrative.slice(0, lastBracket);
+        }
+    }
+
+    return narrative.trim();
+}
+
+function parseAIResponse(result) {
+    recordResponseValidation(result, validateGameMasterResponse(result));
+
+    if (!result.turn) {
+        // Plain text reply (WebLLM, or Claude skipped the tool): use the text parser
+        return parseGameMasterResponse(result.text);
+    }
+    return parseStructuredTurn(result.text, result.turn);
+}
+
+function parseStructuredTurn(text, turn) {
+    console.log('🎮 Parsing structured turn:', turn);
+
+    // Drop any text sections the model wrote out of habit
+    const narrative = extractNarrativeSection(text);
+
+    const options = (Array.isArray(turn.options) ? turn.options : [])
+        .filter(option => option && typeof option.text === 'string' && option.text.trim())
+        .map(option => ({
+            text: option.text.trim(),
+            difficulty: DIFFICULTY_DC[String(option.difficulty).toLowerCase()] !== undefined
+                ? option.difficulty
+                : 'Medium'
+        }));
+
+    const stateUpdate = {};
+    const delta = turn.state_update || {};
+    ['ship', 'fuel', 'distance'].forEach(field => {
+        if (Number.isFinite(delta[field])) stateUpdate[field] = Math.round(delta[field]);
+    });
+    if (delta.inventory && typeof delta.inventory === 'object') {
+        stateUpdate.inventory = {};
+        Object.entries(delta.inventory).forEach(([item, amount]) => {
+            if (Number.isFinite(amount)) stateUpdate.inventory[item.toLowerCase()] = Math.round(amount);
+        });
+    }
+    if (turn.location && typeof turn.location === 'object') {
+        stateUpdate.location = turn.location;
+    }
+
+    const parsed = {
+        narrative,
+        stateUpdate,
+        options,
+        isPlayerDead: typeof turn.player_died === 'boolean'
+            ? turn.player_died
+            : detectDeathInNarrative(narrative)
+    };
+
+    // A tool call without usable options still needs something to click
+    if (parsed.options.length === 0) {
+        console.warn('⚠️ Structured turn had no options, falling back to text parser');
+        parsed.options = parseGameMasterResponse(text).options;
+    }
+
+    return parsed;
+}
+
+function parseGameMasterResponse(text) {
+    console.log('🎮 Parsing AI response...');
+    console.log('Raw response:', text);
+
+    const originalText = text;
+    const parsed = {
+        narrative: '',
+        stateUpdate: null,
+        options: []
+    };
+
+    // Extract state update
+    const stateMatch = text.match(/\[STATE UPDATE\]([\s\S]*?)(?:\[OPTIONS\]|$)/i);
+    if (stateMatch) {
+        console.log('📋 Found STATE UPDATE section:', stateMatch[1].trim());
+        parsed.stateUpdate = parseStateUpdate(stateMatch[1].trim());
+        // Remove state update from text
+        text = text.replace(/\[STATE UPDATE\][\s\S]*?(?=\[OPTIONS\]|$)/i, '');
+    } else {
+        console.log('⚠️ No STATE UPDATE section found');
+    }
+
+    // Extract options
+    const optionsMatch = text.match(/\[OPTIONS\]([\s\S]*?)$/i);
+    if (optionsMatch) {
+        console.log('📋 Found OPTIONS section');
+        parsed.options = parseOptions(optionsMatch[1].trim());
+        // Remove options from text
+        text = text.replace(/\[OPTIONS\][\s\S]*$/, '');
+    } else {
+        console.log('⚠️ No OPTIONS section found, trying fallback parser...');
+    }
+
+    // Fallback: if no options found, try to extract numbered lists from anywhere
+    if (parsed.options.length === 0) {
+        console.log('🔍 Using fallback parser to find options...');
+        parsed.options = parseOptionsFromAnywhere(originalText);
+
+        // Remove the found options from the narrative
+        if (parsed.options.length > 0) {
+            console.log(`✅ Fallback parser found ${parsed.options.length} options`);
+            // Remove lines that match our options from the narrative
+            const lines = text.split('\n');
+            const filteredLines = lines.filter(line => {
+                const isOptionLine = /^\s*\d+\.\s*.+/.test(line);
+                return !isOptionLine;
+            });
+            text = filteredLines.join('\n');
+        }
+    }
+
+    // Everything else is narrative
+    parsed.narrative = text.trim();
+
+    // Check for death in narrative
+    parsed.isPlayerDead = detectDeathInNarrative(parsed.narrative);
+
+    console.log('✅ Parse complete:', {
         hasNarrative: !!parsed.narrative,
         hasStateUpdate: !!parsed.stateUpdate,
         optionCount: parsed.options.length,
@@ -1116,29 +3232,45 @@ function parseGameMasterResponse(text) {
     return parsed;
 }
 
+// Splits a [STATE UPDATE] section into fields. Models sometimes put each field on its own
+// line instead of using pipes, and list inventory items one per line or bullet under
+// "Inventory:", so unlabelled lines after it stay with the inventory field.
+function splitStateUpdateFields(updateText) {
+    const parts = [];
+    updateText.split(/[|\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+        const previous = parts[parts.length - 1];
+        if (previous && /^inventory/i.test(previous) && !/^[a-z][\w\s-]*:/i.test(part)) {
+            parts[parts.length - 1] = `${previous}\n${part}`;
+        } else {
+            parts.push(part);
+        }
+    });
+    return parts;
+}
+
 function parseStateUpdate(updateText) {
     const updates = {};
-    const parts = updateText.split('|');
 
-    parts.forEach(part => {
+    splitStateUpdateFields(updateText).forEach(part => {
         const trimmed = part.trim();
 
-        if (trimmed.match(/ship/i)) {
+        // Fields are recognised by their leading label only, so "...than your ship" isn't a ship delta
+        if (trimmed.match(/^ship/i)) {
             const match = trimmed.match(/([+-]?\d+)%?/);
             if (match) updates.ship = parseInt(match[1]);
         }
 
-        if (trimmed.match(/fuel/i)) {
+        if (trimmed.match(/^fuel/i)) {
             const match = trimmed.match(/([+-]?\d+)/);
             if (match) updates.fuel = parseInt(match[1]);
         }
 
-        if (trimmed.match(/distance/i)) {
+        if (trimmed.match(/^distance/i)) {
             const match = trimmed.match(/([+-]?\d+)/);
             if (match) updates.distance = parseInt(match[1]);
         }
 
-        if (trimmed.match(/inventory/i)) {
+        if (trimmed.match(/^inventory/i)) {
             updates.inventory = parseInventoryChange(trimmed);
         }
     });
@@ -1146,22 +3278,42 @@ function parseStateUpdate(updateText) {
     return updates;
 }
 
+const INVENTORY_ENTRY_PATTERN = /^([+-])?\s*([a-z][\w-]*(?:\s+[a-z][\w-]*)*?)\s*x\s*(\d+)$/i;
+const NO_CHANGE_PATTERN = /^([+-]?0|none|no change)$/i;
+// "- Iron x5" on its own line is a bullet; "-Iron x5" and "- -Iron x5" take iron away
+const INVENTORY_BULLET_PATTERN = /^\s*(?:[*•]|-(?=\s))\s*/;
+// Commas, semicolons and line breaks, or the space between two entries written back to back
+const INVENTORY_SEPARATOR_PATTERN = /[,;\n]|(?<=x\s*\d+)\s+(?=[+-]?\s*[a-z][\w-]*(?:\s+[a-z][\w-]*)*?\s*x\s*\d)/i;
+
+// "Inventory: +Iron x5, -Carbon x2" -> ['+Iron x5', '-Carbon x2'], without no-change entries like "+0".
+// Also reads "+Iron x5 -Carbon x2" and one entry per line or bullet.
+function getInventoryEntries(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(INVENTORY_BULLET_PATTERN, ''))
+        .join('\n')
+        .replace(/^\s*inventory\s*:?/i, '')
+        .split(INVENTORY_SEPARATOR_PATTERN)
+        .map(entry => entry.trim())
+        .filter(entry => entry && !NO_CHANGE_PATTERN.test(entry));
+}
+
 function parseInventoryChange(text) {
     const changes = {};
     console.log('🔍 Parsing inventory from text:', text);
 
-    // Match patterns like "+Iron x5", "Iron x5", or "-Carbon x3"
-    // Made +/- sign optional, defaults to + if not present
-    const regex = /([+-])?\s*(\w+)\s*x\s*(\d+)/gi;
-    let match;
+    // Each entry must be a whole "+Iron x5", "Iron x5" or "-Carbon x3";
+    // anything else is skipped (validateGameMasterResponse reports it)
+    getInventoryEntries(text).forEach(entry => {
+        const match = entry.match(INVENTORY_ENTRY_PATTERN);
+        if (!match) return;
 
-    while ((match = regex.exec(text)) !== null) {
         const sign = match[1] || '+'; // Default to + if no sign
         const item = match[2].toLowerCase();
         const amount = parseInt(match[3]);
         changes[item] = sign === '+' ? amount : -amount;
         console.log(`  ✓ Found: ${item} ${sign}${amount}`);
-    }
+    });
 
     console.log('📦 Inventory changes:', changes);
     return changes;
@@ -1173,7 +3325,7 @@ function parseOptions(optionsText) {
 
     lines.forEach(line => {
         // Match patterns like "1. Action text (Difficulty)"
-        const match = line.match(/^\d+\.\s*(.+?)\s*\((\w+(?:\s+\w+)?)\)\s*$/i);
+        const match = line.trim().match(/^\d+\.\s*(.+?)\s*\((\w+(?:\s+\w+)?)\)\s*$/i);
         if (match) {
             options.push({
                 text: match[1].trim(),
@@ -1185,51 +3337,195 @@ function parseOptions(optionsText) {
     return options;
 }
 
-function parseOptionsFromAnywhere(text) {
-    // Fallback parser: extract numbered options from anywhere in the text
-    const options = [];
-    const lines = text.split('\n');
+function parseOptionsFromAnywhere(text) {
+    // Fallback parser: extract numbered options from anywhere in the text
+    const options = [];
+    const lines = text.split('\n');
+
+    lines.forEach(line => {
+        // Match numbered lines with optional difficulty
+        // Patterns: "1. Action text (Difficulty)" or "1. Action text"
+        const matchWithDiff = line.match(/^\s*(\d+)\.\s*(.+?)\s*\((\w+(?:\s+\w+)?)\)\s*$/i);
+        const matchNoDiff = line.match(/^\s*(\d+)\.\s*(.+?)\s*$/i);
+
+        if (matchWithDiff) {
+            options.push({
+                text: matchWithDiff[2].trim(),
+                difficulty: matchWithDiff[3].trim()
+            });
+        } else if (matchNoDiff && matchNoDiff[2].trim().length > 5) {
+            // No difficulty specified, infer from keywords or default to Medium
+            const actionText = matchNoDiff[2].trim();
+            let difficulty = 'Medium'; // default
+
+            // Infer difficulty from keywords
+            const lowerText = actionText.toLowerCase();
+            if (lowerText.includes('search') || lowerText.includes('look') || lowerText.includes('gather') || lowerText.includes('collect')) {
+                difficulty = 'Easy';
+            } else if (lowerText.includes('explore') || lowerText.includes('investigate') || lowerText.includes('examine')) {
+                difficulty = 'Medium';
+            } else if (lowerText.includes('repair') || lowerText.includes('climb') || lowerText.includes('fight') || lowerText.includes('attack')) {
+                difficulty = 'Hard';
+            }
+
+            options.push({
+                text: actionText,
+                difficulty: difficulty
+            });
+        }
+    });
+
+    return options;
+}
+
+function getHistoryContent(response, parsed) {
+    // Structured turns keep only the narrative; tool blocks would need matching tool_result turns
+    if (response.turn) {
+        return parsed.narrative || '(The Game Master reported the turn without narration.)';
+    }
+    return response.text;
+}
+
+// keep is how many recent messages still fit the context budget (see getHistoryRoom). Once
+// history outgrows it, a further historyPruneChunk messages go too, so the next few turns
+// only append and the prompt prefix stays cacheable (see PROMPT CACHING).
+function pruneConversationHistory(keep = GAME_CONSTANTS.maxConversationHistory) {
+    const limit = Math.min(keep, GAME_CONSTANTS.maxConversationHistory);
+    if (gameState.conversationHistory.length <= limit) return;
+
+    const overflow = gameState.conversationHistory.length - Math.max(0, limit - GAME_CONSTANTS.historyPruneChunk);
+    if (overflow > 0) {
+        // Dropped messages wait in memory.pending until they're condensed (see LONG-TERM MEMORY)
+        gameState.memory.pending.push(...gameState.conversationHistory.slice(0, overflow));
+        gameState.conversationHistory = gameState.conversationHistory.slice(overflow);
+    }
+}
+
+// ===== RESPONSE VALIDATION =====
+// Reports what is wrong with a Game Master reply. The parsers above stay forgiving (a game
+// with fallback options beats an error), so this is how malformed replies get noticed.
+// Each problem is { severity: 'error'|'warning', code, message }.
+const STATE_UPDATE_FIELDS = /^(ship|fuel|distance|inventory)\b/i;
+const STATE_DELTA_PATTERN = /^(ship|fuel|distance)\b[^:]*:\s*[+-]?\d+\s*%?\s*(ly|light years)?$/i;
+const OPTION_LINE_PATTERN = /^\d+\.\s*(.+?)\s*\((\w+(?:\s+\w+)?)\)\s*$/;
+
+let lastResponseValidation = null;
+
+function validateGameMasterResponse(result) {
+    const problems = [];
+    const report = (severity, code, message) => problems.push({ severity, code, message });
+
+    if (result.turn) {
+        validateStructuredTurn(result.turn, report);
+    } else {
+        validateTextResponse(result.text, report);
+    }
+
+    return {
+        valid: !problems.some(problem => problem.severity === 'error'),
+        problems
+    };
+}
+
+function validateTextResponse(text, report) {
+    const narrative = extractNarrativeSection(text).trim();
+    if (!narrative) report('error', 'empty-narrative', 'No narrative before the [STATE UPDATE]/[OPTIONS] sections');
+
+    const stateMatch = text.match(/\[STATE UPDATE\]([\s\S]*?)(?:\[OPTIONS\]|$)/i);
+    if (!stateMatch) {
+        report('warning', 'missing-state-update', 'No [STATE UPDATE] section');
+    } else {
+        splitStateUpdateFields(stateMatch[1]).forEach(part => {
+            if (!STATE_UPDATE_FIELDS.test(part)) {
+                report('warning', 'unknown-field', `Unknown state update field "${part}"`);
+            } else if (/^inventory/i.test(part)) {
+                getInventoryEntries(part).forEach(entry => {
+                    if (!INVENTORY_ENTRY_PATTERN.test(entry)) {
+                        report('error', 'unparseable-inventory', `Could not read inventory change "${entry}"`);
+                    }
+                });
+            } else if (!STATE_DELTA_PATTERN.test(part)) {
+                report('error', 'unparseable-delta', `Could not read "${part}" as a signed number`);
+            }
+        });
+    }
+
+    // Death scenes legitimately end without options
+    if (detectDeathInNarrative(narrative)) return;
+
+    const optionsMatch = text.match(/\[OPTIONS\]([\s\S]*?)$/i);
+    if (!optionsMatch) {
+        const fallback = parseOptionsFromAnywhere(text);
+        if (fallback.length > 0) {
+            report('warning', 'options-without-header', `${fallback.length} options found without an [OPTIONS] header`);
+        } else {
+            report('error', 'missing-options', 'No [OPTIONS] section and no numbered choices');
+        }
+        return;
+    }
 
+    const lines = optionsMatch[1].split('\n').map(line => line.trim()).filter(Boolean);
+    let count = 0;
     lines.forEach(line => {
-        // Match numbered lines with optional difficulty
-        // Patterns: "1. Action text (Difficulty)" or "1. Action text"
-        const matchWithDiff = line.match(/^\s*(\d+)\.\s*(.+?)\s*\((\w+(?:\s+\w+)?)\)\s*$/i);
-        const matchNoDiff = line.match(/^\s*(\d+)\.\s*(.+?)\s*$/i);
+        const match = line.match(OPTION_LINE_PATTERN);
+        if (!match) {
+            report('error', 'unparseable-option', `Could not read option "${line}"`);
+            return;
+        }
+        count++;
+        if (DIFFICULTY_DC[match[2].toLowerCase()] === undefined) {
+            report('error', 'unknown-difficulty', `Unknown difficulty "${match[2]}" in "${line}"`);
+        }
+    });
+    validateOptionCount(count, report);
+}
 
-        if (matchWithDiff) {
-            options.push({
-                text: matchWithDiff[2].trim(),
-                difficulty: matchWithDiff[3].trim()
-            });
-        } else if (matchNoDiff && matchNoDiff[2].trim().length > 5) {
-            // No difficulty specified, infer from keywords or default to Medium
-            const actionText = matchNoDiff[2].trim();
-            let difficulty = 'Medium'; // default
+function validateStructuredTurn(turn, report) {
+    const delta = turn.state_update || {};
+    ['ship', 'fuel', 'distance'].forEach(field => {
+        if (delta[field] !== undefined && !Number.isInteger(delta[field])) {
+            report('error', 'unparseable-delta', `state_update.${field} is not an integer: ${JSON.stringify(delta[field])}`);
+        }
+    });
+    Object.entries(delta.inventory || {}).forEach(([item, amount]) => {
+        if (!Number.isInteger(amount)) {
+            report('error', 'unparseable-inventory', `state_update.inventory.${item} is not an integer: ${JSON.stringify(amount)}`);
+        }
+    });
 
-            // Infer difficulty from keywords
-            const lowerText = actionText.toLowerCase();
-            if (lowerText.includes('search') || lowerText.includes('look') || lowerText.includes('gather') || lowerText.includes('collect')) {
-                difficulty = 'Easy';
-            } else if (lowerText.includes('explore') || lowerText.includes('investigate') || lowerText.includes('examine')) {
-                difficulty = 'Medium';
-            } else if (lowerText.includes('repair') || lowerText.includes('climb') || lowerText.includes('fight') || lowerText.includes('attack')) {
-                difficulty = 'Hard';
-            }
+    if (typeof turn.player_died !== 'boolean') {
+        report('warning', 'missing-player-died', 'player_died is missing, death was guessed from the narrative');
+    }
+    if (turn.player_died) return;
 
-            options.push({
-                text: actionText,
-                difficulty: difficulty
-            });
+    if (!Array.isArray(turn.options) || turn.options.length === 0) {
+        report('error', 'missing-options', 'The report_turn call has no options');
+        return;
+    }
+    turn.options.forEach((option, index) => {
+        if (!option || typeof option.text !== 'string' || !option.text.trim()) {
+            report('error', 'unparseable-option', `options[${index}] has no text`);
+        } else if (DIFFICULTY_DC[String(option.difficulty).toLowerCase()] === undefined) {
+            report('error', 'unknown-difficulty', `Unknown difficulty "${option.difficulty}" in "${option.text}"`);
         }
     });
+    validateOptionCount(turn.options.length, report);
+}
 
-    return options;
+function validateOptionCount(count, report) {
+    if (count < 3 || count > 4) {
+        report('warning', 'option-count', `Expected 3-4 options, got ${count}`);
+    }
 }
 
-function pruneConversationHistory() {
-    if (gameState.conversationHistory.length > GAME_CONSTANTS.maxConversationHistory) {
-        gameState.conversationHistory = gameState.conversationHistory.slice(-GAME_CONSTANTS.maxConversationHistory);
+// Keeps the latest report for the debug tools and flags broken replies under the options
+function recordResponseValidation(result, validation) {
+    lastResponseValidation = { ...validation, timestamp: Date.now(), response: result.text, turn: result.turn };
+
+    if (validation.problems.length > 0) {
+        console.warn('⚠️ Response validation:', validation.problems);
     }
+    renderResponseIssues();
 }
 
 // ===== STATE MANAGEMENT =====
@@ -1264,6 +3560,23 @@ function applyStateUpdates(updates) {
         }
     }
 
+    if (updates.location) {
+        const location = gameState.currentLocation;
+        const oldPlanet = location.planetName;
+        ['planetName', 'planetType', 'systemName'].forEach(field => {
+            if (typeof updates.location[field] === 'string' && updates.location[field].trim()) {
+                location[field] = updates.location[field].trim();
+            }
+        });
+        if (location.planetName !== oldPlanet) {
+            // The starting planet is already counted in planetsVisited
+            if (oldPlanet !== 'Unknown') {
+                gameState.stats.planetsVisited += 1;
+            }
+            console.log(`🪐 Location: ${oldPlanet} → ${location.planetName}`);
+        }
+    }
+
     if (updates.inventory) {
         console.log('📦 Processing inventory updates:', updates.inventory);
         Object.entries(updates.inventory).forEach(([item, amount]) => {
@@ -1286,6 +3599,378 @@ function applyStateUpdates(updates) {
     console.log('✅ Final inventory state:', gameState.inventory);
 }
 
+// ===== TRANSCRIPT =====
+function recordTranscriptEntry(entry) {
+    gameState.transcript.push({
+        turn: gameState.transcript.length,
+        timestamp: Date.now(),
+        action: null,
+        diceRoll: null,
+        spentPoints: 0,
+        stateUpdate: null,
+        ...entry
+    });
+}
+
+function describeDiceRoll(check) {
+    let text = `${capitalize(check.difficulty)}`;
+    if (check.skillUsed) text += ` [${capitalize(check.skillUsed)}]`;
+    text += `: Roll ${check.roll}`;
+    if (check.bonuses !== 0) text += ` + ${check.bonuses}`;
+    text += ` = ${check.total} vs DC ${check.dc} - `;
+
+    if (check.criticalSuccess) return text + 'CRITICAL SUCCESS';
+    if (check.criticalFailure) return text + 'CRITICAL FAILURE';
+    return text + (check.success ? 'SUCCESS' : 'FAILURE');
+}
+
+function describeStateUpdate(update) {
+    if (!update) return '';
+
+    const signed = (value) => (value >= 0 ? '+' : '') + value;
+    const parts = [];
+    if (update.ship) parts.push(`Ship ${signed(update.ship)}%`);
+    if (update.fuel) parts.push(`Fuel ${signed(update.fuel)}`);
+    if (update.distance) parts.push(`Distance ${signed(update.distance)} LY`);
+    if (update.location?.planetName) parts.push(`Arrived at ${update.location.planetName}`);
+    Object.entries(update.inventory || {}).forEach(([item, amount]) => {
+        if (amount) parts.push(`${capitalize(item)} ${signed(amount)}`);
+    });
+    return parts.join(' | ');
+}
+
+function getTranscriptTitle(entry) {
+    if (entry.action) return entry.action;
+    return entry.scenario ? `Prologue: ${entry.scenario}` : 'Prologue';
+}
+
+function formatTranscriptMarkdown() {
+    let output = `# NMS.TXT Journey Log\n\n`;
+    output += `Seed: ${gameState.rng.seed} | Scenario: ${gameState.scenario?.name || 'Unknown'} | Exported: ${new Date().toLocaleString()}\n`;
+
+    gameState.transcript.forEach(entry => {
+        output += `\n## ${String(entry.turn).padStart(5, '0')} - ${getTranscriptTitle(entry)}\n\n`;
+        if (entry.diceRoll) {
+            output += `> 🎲 ${describeDiceRoll(entry.diceRoll)}`;
+            if (entry.spentPoints > 0) output += ` (spent ${entry.spentPoints} skill points)`;
+            output += '\n\n';
+        }
+        output += `${entry.narrative}\n`;
+
+        const stateText = describeStateUpdate(entry.stateUpdate);
+        if (stateText) output += `\n*${stateText}*\n`;
+        if (entry.isPlayerDead) output += `\n**💀 Your journey ends here.**\n`;
+    });
+
+    return output;
+}
+
+function formatTranscriptText() {
+    const rule = '='.repeat(60);
+    let output = `NMS.TXT JOURNEY LOG\n`;
+    output += `Seed: ${gameState.rng.seed} | Scenario: ${gameState.scenario?.name || 'Unknown'} | Exported: ${new Date().toLocaleString()}\n`;
+
+    gameState.transcript.forEach(entry => {
+        output += `\n${rule}\nLOG ${String(entry.turn).padStart(5, '0')}: ${getTranscriptTitle(entry)}\n${rule}\n\n`;
+        if (entry.diceRoll) {
+            output += `[DICE] ${describeDiceRoll(entry.diceRoll)}`;
+            if (entry.spentPoints > 0) output += ` (spent ${entry.spentPoints} skill points)`;
+            output += '\n\n';
+        }
+        output += `${entry.narrative}\n`;
+
+        const stateText = describeStateUpdate(entry.stateUpdate);
+        if (stateText) output += `\n[STATE] ${stateText}\n`;
+        if (entry.isPlayerDead) output += `\n[DEAD] Your journey ends here.\n`;
+    });
+
+    return output;
+}
+
+function formatTranscriptJSON() {
+    return JSON.stringify({
+        format: 'nmstxt-transcript',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        seed: gameState.rng.seed,
+        scenario: gameState.scenario || null,
+        entries: gameState.transcript
+    }, null, 2);
+}
+
+const TRANSCRIPT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown', format: formatTranscriptMarkdown },
+    text: { extension: 'txt', mimeType: 'text/plain', format: formatTranscriptText },
+    json: { extension: 'json', mimeType: 'application/json', format: formatTranscriptJSON }
+};
+
+function exportTranscript(formatName) {
+    if (!gameState || gameState.transcript.length === 0) {
+        showError('Nothing to export yet');
+        return false;
+    }
+
+    const format = TRANSCRIPT_FORMATS[formatName];
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`nmstxt-journey-${gameState.rng.seed}-${date}.${format.extension}`, format.format(), format.mimeType);
+    return true;
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ===== REWIND =====
+// Before each turn the full game state is snapshotted (minus the transcript, which is
+// only ever appended to, and the stack itself). Rewinding restores a snapshot and
+// trims the transcript back to match.
+function createTurnSnapshot(actionText) {
+    const { rewindStack, transcript, ...state } = gameState;
+    return {
+        action: actionText,
+        timestamp: Date.now(),
+        transcriptLength: transcript.length,
+        state: JSON.parse(JSON.stringify(state))
+    };
+}
+
+function pushRewindSnapshot(snapshot) {
+    gameState.rewindStack.push(snapshot);
+    if (gameState.rewindStack.length > GAME_CONSTANTS.maxRewindDepth) {
+        gameState.rewindStack.shift();
+    }
+}
+
+// Returns null when rewinding is possible, otherwise the reason it isn't
+function getRewindBlocker() {
+    if (!gameState) return 'No game in progress';
+    // The reply would land in the rewound timeline
+    if (isProcessingAction) return 'Wait for the current turn to finish before rewinding.';
+    if (gameState.rewind.charges === 0) {
+        return gameState.rewind.mode === 'hardcore'
+            ? 'Rewinds are disabled in Hardcore mode.'
+            : 'No rewind charges left for this run.';
+    }
+    if (gameState.rewindStack.length === 0) return 'There are no turns to rewind.';
+    return null;
+}
+
+function describeRewindCharges() {
+    const { mode, charges } = gameState.rewind;
+    if (charges === null) return 'Unlimited rewinds';
+    if (mode === 'hardcore') return 'Rewinds disabled (Hardcore)';
+    return `${charges} of ${GAME_MODES[mode].rewindCharges} rewinds left`;
+}
+
+function rewindTurns(count) {
+    if (!requireActiveSession()) return false;
+
+    const blocker = getRewindBlocker();
+    if (blocker) {
+        showError(blocker);
+        return false;
+    }
+
+    const stack = gameState.rewindStack;
+    const snapshot = stack[stack.length - count];
+    const charges = gameState.rewind.charges;
+
+    gameState = {
+        ...snapshot.state,
+        rewind: {
+            ...snapshot.state.rewind,
+            charges: charges === null ? null : charges - 1 // Charges are spent, never restored
+        },
+        usage: gameState.usage, // So is the money spent on the undone turns
+        rewindStack: stack.slice(0, stack.length - count),
+        transcript: gameState.transcript.slice(0, snapshot.transcriptLength)
+    };
+
+    // Those turns no longer exist in this timeline
+    pruneTurnSnapshots(gameState.runId, gameState.transcript.length);
+
+    console.log(`⏪ Rewound ${count} turn(s) to before "${snapshot.action}"`);
+    hideDiceRoll();
+    hideError();
+    updateGameUI();
+    scheduleAutoSave();
+    return true;
+}
+
+// ===== TIMELINES =====
+// Every turn of every run is snapshotted into the save store (kind 'snapshot'), keyed by
+// runId and turn, where turn is the index of that turn's transcript entry. Forking copies
+// a run's snapshots up to the chosen turn into a new run and saves it as a new save.
+function getTurnSnapshotId(runId, turn) {
+    return `${runId}-turn-${turn}`;
+}
+
+async function recordTurnSnapshot() {
+    if (!gameState) return;
+
+    const { rewindStack, transcript, ...state } = gameState;
+    const turn = transcript.length - 1;
+
+    try {
+        const store = await getSaveStore();
+        await store.put({
+            id: getTurnSnapshotId(gameState.runId, turn),
+            kind: 'snapshot',
+            runId: gameState.runId,
+            turn,
+            timestamp: Date.now(),
+            action: transcript[turn].action || transcript[turn].scenario || 'New game',
+            location: gameState.currentLocation.planetName,
+            entry: transcript[turn],
+            gameState: JSON.parse(JSON.stringify(state))
+        });
+
+        // Only the newest turns stay forkable, so long runs don't fill the store
+        if (turn >= GAME_CONSTANTS.maxTurnSnapshots) {
+            await store.delete(getTurnSnapshotId(gameState.runId, turn - GAME_CONSTANTS.maxTurnSnapshots));
+        }
+    } catch (error) {
+        // Forking is a nice-to-have; never interrupt play for it
+        console.error('Turn snapshot failed:', error);
+    }
+}
+
+// Oldest first
+async function listTurnSnapshots(runId) {
+    const store = await getSaveStore();
+    const records = await store.listByRun(runId);
+
+    return records.sort((a, b) => a.turn - b.turn);
+}
+
+async function pruneTurnSnapshots(runId, fromTurn) {
+    try {
+        const store = await getSaveStore();
+        for (const snapshot of await listTurnSnapshots(runId)) {
+            if (snapshot.turn >= fromTurn) await store.delete(snapshot.id);
+        }
+    } catch (error) {
+        console.error('Snapshot cleanup failed:', error);
+    }
+}
+
+// Drops snapshots of runs that no save or restore point refers to any more
+async function pruneOrphanedTurnSnapshots() {
+    const store = await getSaveStore();
+    const owners = [...await store.listByKind(null), ...await store.listByKind('restore')];
+    const liveRuns = new Set(owners.map(record => record.gameState.runId));
+
+    for (const snapshot of await store.listSnapshotRuns()) {
+        if (!liveRuns.has(snapshot.runId)) {
+            await store.delete(snapshot.id);
+        }
+    }
+}
+
+async function copyTurnSnapshots(fromRunId, toRunId, upToTurn) {
+    const store = await getSaveStore();
+    for (const snapshot of await listTurnSnapshots(fromRunId)) {
+        if (snapshot.turn > upToTurn) continue;
+        await store.put({
+            ...snapshot,
+            id: getTurnSnapshotId(toRunId, snapshot.turn),
+            runId: toRunId,
+            gameState: { ...snapshot.gameState, runId: toRunId }
+        });
+    }
+}
+
+// The longest transcript among runId's saves. Turns older than the snapshot cap are only
+// found here; that far back every save of the run shares the same history.
+async function readRunTranscript(runId) {
+    const store = await getSaveStore();
+    return (await store.listByKind(null))
+        .filter(record => record.gameState.runId === runId)
+        .map(record => record.gameState.transcript || [])
+        .reduce((longest, transcript) => (transcript.length > longest.length ? transcript : longest), []);
+}
+
+// Creates a new save continuing runId from just after turn. Returns the new save's id.
+async function forkRun(runId, turn, name) {
+    const snapshots = (await listTurnSnapshots(runId)).filter(snapshot => snapshot.turn <= turn);
+    const forkPoint = snapshots.find(snapshot => snapshot.turn === turn);
+    const missingTurns = () => new Error('This timeline is missing earlier turns and can\'t be forked here');
+    if (!forkPoint) throw missingTurns();
+
+    // The transcript is rebuilt from each turn's entry, so every turn up to the fork is needed
+    const entries = new Map(snapshots.map(snapshot => [snapshot.turn, snapshot.entry]));
+    const savedTranscript = entries.size === turn + 1 ? [] : await readRunTranscript(runId);
+    const transcript = [];
+    for (let i = 0; i <= turn; i++) {
+        const entry = entries.get(i) || savedTranscript[i];
+        if (!entry) throw missingTurns();
+        transcript.push(entry);
+    }
+
+    const parentName = (await listSaves()).find(save => save.runId === runId)?.name || 'Unknown';
+    const newRunId = createSaveId('run');
+
+    const state = migrateGameState({
+        ...forkPoint.gameState,
+        runId: newRunId,
+        branch: {
+            parentRunId: runId,
+            parentName,
+            turn,
+            action: forkPoint.action,
+            forkedAt: Date.now()
+        },
+        rewindStack: [],
+        transcript,
+        usage: createEmptyUsage() // What the turns up to the fork cost stays with the parent run
+    });
+
+    await copyTurnSnapshots(runId, newRunId, turn);
+
+    const saveId = createSaveId();
+    const store = await getSaveStore();
+    await store.put(buildSaveData(saveId, name, '', state));
+
+    console.log(`🌿 Forked ${runId} at turn ${turn} into ${newRunId}`);
+    return saveId;
+}
+
+// Groups saves by run and nests each run under the run it was forked from
+function buildTimelineTree(saves) {
+    const runs = new Map();
+    for (const save of saves) {
+        if (!save.runId) continue;
+        if (!runs.has(save.runId)) {
+            runs.set(save.runId, { runId: save.runId, branch: save.branch, saves: [], children: [] });
+        }
+        runs.get(save.runId).saves.push(save);
+    }
+
+    const roots = [];
+    for (const run of runs.values()) {
+        run.latest = run.saves.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+        const parent = run.branch && runs.get(run.branch.parentRunId);
+        if (parent) {
+            parent.children.push(run);
+        } else {
+            roots.push(run);
+        }
+    }
+
+    for (const run of runs.values()) {
+        run.children.sort((a, b) => a.branch.turn - b.branch.turn);
+    }
+    return roots.sort((a, b) => b.latest.timestamp - a.latest.timestamp);
+}
+
 // ===== GAME LOGIC =====
 async function processPlayerAction(actionText, difficulty = null, spentPoints = undefined) {
     // If difficulty specified but no points decision made yet, show modal first
@@ -1295,7 +3980,11 @@ async function processPlayerAction(actionText, difficulty = null, spentPoints =
         return;
     }
 
-    if (isProcessingAction) return;
+    if (isProcessingAction || !requireActiveSession()) return;
+
+    // Taken before skill points are spent so a rewind gives them back
+    const rewindSnapshot = createTurnSnapshot(actionText);
+    let turn = null; // Everything needed to resend this action, once the dice are rolled
 
     try {
         isProcessingAction = true;
@@ -1342,66 +4031,140 @@ async function processPlayerAction(actionText, difficulty = null, spentPoints =
         showLoading('Processing your action...', loadingAnimType);
 
         // Format message with current state
-        const userMessage = formatUserMessage(actionText, diceRoll);
+        turn = {
+            actionText,
+            userMessage: formatUserMessage(actionText, diceRoll),
+            diceRoll,
+            spentPoints,
+            rewindSnapshot
+        };
 
-        // Call AI (routes to Claude or WebLLM based on settings)
-        const response = await callAI(userMessage);
+        await completePlayerAction(turn);
 
-        // Update conversation history
-        gameState.conversationHistory.push(
-            { role: 'user', content: userMessage },
-            { role: 'assistant', content: response }
-        );
-        pruneConversationHistory();
+    } catch (error) {
+        handleActionError(error, turn);
+    } finally {
+        hideLoading();
+        enableActions();
+        isProcessingAction = false;
+    }
+}
+
+// Sends an already rolled turn to the Game Master and applies the reply.
+// Kept separate so a failed turn can be retried with the same dice (see retryFailedAction).
+async function completePlayerAction(turn) {
+    const { actionText, userMessage, diceRoll, spentPoints, rewindSnapshot } = turn;
+
+    // Call AI (routes to Claude or WebLLM based on settings)
+    // Narrative streams into view; state and options wait for the full reply
+    const response = await callAI(userMessage, createStreamingRenderer());
+
+    // Parse response
+    const parsed = parseAIResponse(response);
+
+    // Update conversation history
+    gameState.conversationHistory.push(
+        { role: 'user', content: userMessage },
+        { role: 'assistant', content: getHistoryContent(response, parsed) }
+    );
+    pruneConversationHistory(getHistoryRoom(userMessage));
+
+    // Apply state updates
+    applyStateUpdates(parsed.stateUpdate);
+
+    // Check for death
+    const isPlayerDead = parsed.isPlayerDead || false;
+
+    recordTranscriptEntry({
+        action: actionText,
+        diceRoll,
+        spentPoints: spentPoints || 0,
+        stateUpdate: parsed.stateUpdate,
+        narrative: parsed.narrative,
+        isPlayerDead
+    });
+    pushRewindSnapshot(rewindSnapshot);
 
-        // Parse response
-        const parsed = parseGameMasterResponse(response);
+    if (isPlayerDead) {
+        gameState.stats.deathCount += 1;
+        gameState.currentNarrative = parsed.narrative;
+        gameState.currentOptions = [];
+        updateGameUI();
+        recordRestorePoint(actionText);
+        recordTurnSnapshot();
 
-        // Apply state updates
-        applyStateUpdates(parsed.stateUpdate);
+        // Show game over modal after brief delay (let player read death narrative)
+        setTimeout(() => {
+            showGameOverModal();
+        }, 1500);
 
-        // Check for death
-        const isPlayerDead = parsed.isPlayerDead || false;
+        return; // Stop processing
+    }
 
-        if (isPlayerDead) {
-            gameState.stats.deathCount += 1;
-            gameState.currentNarrative = parsed.narrative;
-            gameState.currentOptions = [];
-            updateGameUI();
+    // Update current game state
+    gameState.currentNarrative = parsed.narrative;
+    gameState.currentOptions = parsed.options;
 
-            // Show game over modal after brief delay (let player read death narrative)
-            setTimeout(() => {
-                showGameOverModal();
-            }, 1500);
+    // Add to action history
+    gameState.actionHistory.unshift({
+        timestamp: Date.now(),
+        action: actionText,
+        result: parsed.narrative.substring(0, 100) + '...'
+    });
+    if (gameState.actionHistory.length > GAME_CONSTANTS.maxActionHistory) {
+        gameState.actionHistory.pop();
+    }
 
-            return; // Stop processing
-        }
+    // Update UI
+    updateGameUI();
 
-        // Update current game state
-        gameState.currentNarrative = parsed.narrative;
-        gameState.currentOptions = parsed.options;
+    // Schedule auto-save
+    recordRestorePoint(actionText);
+    recordTurnSnapshot();
+    scheduleAutoSave();
+
+    // Condense messages this turn pruned from the conversation, in the background
+    updateLongTermMemory()
+        .then(changed => {
+            if (changed) scheduleAutoSave();
+        })
+        .catch(error => console.warn('⚠️ Memory update failed:', error.message));
+}
 
-        // Add to action history
-        gameState.actionHistory.unshift({
-            timestamp: Date.now(),
-            action: actionText,
-            result: parsed.narrative.substring(0, 100) + '...'
-        });
-        if (gameState.actionHistory.length > GAME_CONSTANTS.maxActionHistory) {
-            gameState.actionHistory.pop();
-        }
+function handleActionError(error, turn) {
+    const message = error.message;
+    const needsCredentials = message.includes('API key') || message.toLowerCase().includes('access token');
 
-        // Update UI
-        updateGameUI();
+    // Anything short of missing credentials can be sent again with the same roll
+    failedAction = needsCredentials ? null : turn;
+    showError(error, failedAction ? retryFailedAction : null);
+
+    if (message.includes('API key')) {
+        setTimeout(() => showApiKeyModal(), 2000);
+    } else if (message.toLowerCase().includes('access token')) {
+        setTimeout(() => showAccessTokenModal(), 2000);
+    }
+}
+
+async function retryFailedAction() {
+    const turn = failedAction;
+    if (!turn || isProcessingAction || !requireActiveSession()) return;
+
+    failedAction = null;
+    isProcessingAction = true;
+
+    try {
+        window.scrollTo(0, 0);
+        document.getElementById('narrative').innerHTML = '';
+        disableActions();
+        hideError();
+        showLoading('Retrying your action...', detectSkillFromAction(turn.actionText));
+        console.log('🔁 Retrying action with the same roll:', turn.actionText);
 
-        // Schedule auto-save
-        scheduleAutoSave();
+        await completePlayerAction(turn);
 
     } catch (error) {
-        showError(error.message);
-        if (error.message.includes('API key')) {
-            setTimeout(() => showApiKeyModal(), 2000);
-        }
+        handleActionError(error, turn);
     } finally {
         hideLoading();
         enableActions();
@@ -1476,6 +4239,8 @@ function updateGameUI() {
     document.getElementById('distance-display').textContent =
         gameState.currentLocation.distanceFromCenter.toLocaleString() + ' LY';
 
+    updateUsageDisplay();
+
     // Update inventory
     updateInventoryDisplay();
 
@@ -1486,6 +4251,22 @@ function updateGameUI() {
     window.scrollTo(0, 0);
 }
 
+function createStreamingRenderer() {
+    let lastRender = 0;
+
+    return (text) => {
+        const now = Date.now();
+        if (now - lastRender < CLAUDE_CONFIG.streamRenderInterval) return;
+
+        const narrative = extractNarrativeSection(text);
+        if (!narrative) return;
+
+        lastRender = now;
+        hideLoading();
+        document.getElementById('narrative').innerHTML = marked.parse(narrative);
+    };
+}
+
 function updateInventoryDisplay() {
     console.log('🎒 Updating inventory display...');
     console.log('Current inventory state:', gameState.inventory);
@@ -1551,15 +4332,100 @@ function showSkillSpendModal(actionText, difficulty) {
     const skill = detectSkillFromAction(actionText);
     const available = gameState.skills[skill]?.points || 0;
 
-    document.getElementById('skill-name-display').textContent = capitalize(skill);
-    document.getElementById('available-points-display').textContent = available;
+    document.getElementById('skill-name-display').textContent = capitalize(skill);
+    document.getElementById('available-points-display').textContent = available;
+
+    const slider = document.getElementById('points-slider');
+    slider.max = Math.min(5, available); // Can't spend more than you have, max 5
+    slider.value = 0;
+    document.getElementById('bonus-display').textContent = '0';
+
+    showModal('skill-spend-modal');
+}
+
+function showRewindModal() {
+    const blocker = getRewindBlocker();
+    const listEl = document.getElementById('rewind-turns');
+    document.getElementById('rewind-charges').textContent = gameState ? describeRewindCharges() : '';
+
+    if (blocker) {
+        listEl.innerHTML = `<div class="save-slot empty"><div class="save-slot-header">${escapeHtml(blocker)}</div></div>`;
+    } else {
+        // Newest first: entry N undoes the last N turns
+        const stack = gameState.rewindStack;
+        listEl.innerHTML = stack.map((snapshot, index) => {
+            const count = stack.length - index;
+            return `
+                <div class="save-slot" data-count="${count}">
+                    <div class="save-slot-header">Undo ${count} turn${count === 1 ? '' : 's'}</div>
+                    <div class="save-slot-info">Back to before: ${escapeHtml(snapshot.action)}</div>
+                </div>
+            `;
+        }).reverse().join('');
+
+        listEl.querySelectorAll('.save-slot[data-count]').forEach(el => {
+            el.addEventListener('click', () => {
+                if (rewindTurns(parseInt(el.dataset.count))) {
+                    hideModal('rewind-modal');
+                    hideModal('game-over-modal');
+                    showSuccessMessage('Rewound!');
+                }
+            });
+        });
+    }
+
+    showModal('rewind-modal');
+}
+
+function describeMemoryStatus(memory) {
+    const updated = memory.updatedTurn === null ? 'Not condensed yet.' : `Last condensed after turn ${memory.updatedTurn}.`;
+    if (memory.pending.length === 0) return updated;
+    return `${updated} ${memory.pending.length} older message${memory.pending.length === 1 ? '' : 's'} waiting to be condensed.`;
+}
+
+function showMemoryModal() {
+    if (!gameState) return;
+
+    const memory = gameState.memory;
+    document.getElementById('memory-status').textContent = describeMemoryStatus(memory);
+    document.getElementById('memory-summary-input').value = memory.summary;
+    document.getElementById('memory-facts-input').value = memory.facts.join('\n');
+    document.getElementById('memory-condense').disabled = memory.pending.length === 0;
+
+    showModal('memory-modal');
+}
+
+function saveMemoryEdits() {
+    if (!gameState || !requireActiveSession()) return;
+
+    gameState.memory.summary = document.getElementById('memory-summary-input').value.trim();
+    gameState.memory.facts = parseMemoryFacts(document.getElementById('memory-facts-input').value);
+    console.log('🧠 Memory edited by player');
 
-    const slider = document.getElementById('points-slider');
-    slider.max = Math.min(5, available); // Can't spend more than you have, max 5
-    slider.value = 0;
-    document.getElementById('bonus-display').textContent = '0';
+    hideModal('memory-modal');
+    scheduleAutoSave();
+    showSuccessMessage('Memory updated');
+}
 
-    showModal('skill-spend-modal');
+async function condenseMemoryNow() {
+    if (!gameState || isProcessingAction || !requireActiveSession()) return;
+
+    const button = document.getElementById('memory-condense');
+    isProcessingAction = true;
+    button.disabled = true;
+    button.textContent = 'Condensing...';
+
+    try {
+        if (await updateLongTermMemory(true)) {
+            scheduleAutoSave();
+        } else {
+            showError('Could not condense memory. See the console for details.');
+        }
+    } finally {
+        isProcessingAction = false;
+        button.textContent = 'Condense Now';
+        showMemoryModal();
+    }
 }
 
 function showGameOverModal() {
@@ -1576,6 +4442,9 @@ function showGameOverModal() {
     document.getElementById('final-aliens').textContent = gameState.stats.aliensEncountered;
     document.getElementById('final-jumps').textContent = gameState.stats.jumpsCompleted;
 
+    // Offer a way back unless this mode forbids it
+    document.getElementById('rewind-from-death-btn').classList.toggle('hidden', !!getRewindBlocker());
+
     showModal('game-over-modal');
 }
 
@@ -1597,16 +4466,32 @@ function hideLoading() {
     }
 }
 
-function showError(message) {
+// Takes a message or an error; AI errors are prefixed with their kind (see AI_ERROR_KINDS).
+// onRetry adds a "Retry this action" button.
+function showError(error, onRetry = null) {
     const errorEl = document.getElementById('error-message');
-    errorEl.textContent = message;
+    const kind = AI_ERROR_KINDS[error?.kind];
+    const message = typeof error === 'string' ? error : error.message;
+
+    errorEl.textContent = kind ? `${kind.label}: ${message}` : message;
+    errorEl.dataset.kind = error?.kind || '';
     errorEl.classList.remove('success');
     errorEl.classList.add('visible');
+
+    if (onRetry) {
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'panel-toggle error-retry-btn';
+        retryBtn.textContent = 'Retry this action';
+        retryBtn.addEventListener('click', onRetry);
+        errorEl.appendChild(retryBtn);
+    }
 }
 
 function hideError() {
     const errorEl = document.getElementById('error-message');
     errorEl.classList.remove('visible');
+    failedAction = null; // Its retry button is gone with the error
 }
 
 function showSuccessMessage(message) {
@@ -1623,209 +4508,833 @@ function showSuccessMessage(message) {
     }, 2000);
 }
 
-function disableActions() {
-    document.querySelectorAll('.action-btn, #custom-action-submit').forEach(btn => {
-        btn.disabled = true;
-    });
+function disableActions() {
+    document.querySelectorAll('.action-btn, #custom-action-submit, #rewind-btn').forEach(btn => {
+        btn.disabled = true;
+    });
+}
+
+function enableActions() {
+    document.querySelectorAll('.action-btn, #custom-action-submit, #rewind-btn').forEach(btn => {
+        btn.disabled = false;
+    });
+}
+
+// ===== MODAL MANAGEMENT =====
+function showModal(modalId) {
+    document.getElementById(modalId).classList.add('visible');
+}
+
+function hideModal(modalId) {
+    document.getElementById(modalId).classList.remove('visible');
+}
+
+function showAlertModal(message, title = 'Notice') {
+    document.getElementById('alert-title').textContent = title;
+    document.getElementById('alert-message').textContent = message;
+    showModal('alert-modal');
+}
+
+function showConfirmModal(message, onConfirm, title = 'Confirm') {
+    document.getElementById('confirm-title').textContent = title;
+    document.getElementById('confirm-message').textContent = message;
+
+    // Store callback for the yes button
+    const yesBtn = document.getElementById('confirm-yes-btn');
+    const noBtn = document.getElementById('confirm-no-btn');
+
+    // Remove any existing listeners by cloning and replacing
+    const newYesBtn = yesBtn.cloneNode(true);
+    const newNoBtn = noBtn.cloneNode(true);
+    yesBtn.parentNode.replaceChild(newYesBtn, yesBtn);
+    noBtn.parentNode.replaceChild(newNoBtn, noBtn);
+
+    // Add new listeners
+    newYesBtn.addEventListener('click', () => {
+        hideModal('confirm-modal');
+        if (onConfirm) onConfirm();
+    });
+
+    newNoBtn.addEventListener('click', () => {
+        hideModal('confirm-modal');
+    });
+
+    showModal('confirm-modal');
+}
+
+function showPromptModal(title, label, initialValue, onSubmit, multiline = false) {
+    document.getElementById('prompt-title').textContent = title;
+    document.getElementById('prompt-label').textContent = label;
+
+    const input = document.getElementById('prompt-input');
+    input.value = initialValue || '';
+    input.rows = multiline ? 4 : 1;
+
+    // Remove any existing listeners by cloning and replacing
+    const okBtn = document.getElementById('prompt-ok-btn');
+    const cancelBtn = document.getElementById('prompt-cancel-btn');
+    const newOkBtn = okBtn.cloneNode(true);
+    const newCancelBtn = cancelBtn.cloneNode(true);
+    okBtn.parentNode.replaceChild(newOkBtn, okBtn);
+    cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
+
+    newOkBtn.addEventListener('click', () => {
+        hideModal('prompt-modal');
+        if (onSubmit) onSubmit(input.value.trim());
+    });
+
+    newCancelBtn.addEventListener('click', () => {
+        hideModal('prompt-modal');
+    });
+
+    showModal('prompt-modal');
+    input.focus();
+}
+
+function showContinueOrNewGameModal(title, message, continueText, newGameText, onContinue, onNewGame) {
+    document.getElementById('continue-title').textContent = title;
+    document.querySelector('#continue-modal p').textContent = message;
+
+    const continueBtn = document.getElementById('continue-btn');
+    const newGameBtn = document.getElementById('start-new-btn');
+
+    continueBtn.textContent = continueText;
+    newGameBtn.textContent = newGameText;
+
+    // Remove any existing listeners by cloning and replacing
+    const newContinueBtn = continueBtn.cloneNode(true);
+    const newNewGameBtn = newGameBtn.cloneNode(true);
+    continueBtn.parentNode.replaceChild(newContinueBtn, continueBtn);
+    newGameBtn.parentNode.replaceChild(newNewGameBtn, newGameBtn);
+
+    // Add new listeners
+    newContinueBtn.addEventListener('click', () => {
+        hideModal('continue-modal');
+        if (onContinue) onContinue();
+    });
+
+    newNewGameBtn.addEventListener('click', () => {
+        hideModal('continue-modal');
+        if (onNewGame) onNewGame();
+    });
+
+    showModal('continue-modal');
+}
+
+function showApiKeyModal() {
+    // Encryption needs crypto.subtle, so over plain HTTP the key can only be stored unencrypted
+    document.getElementById('api-key-passphrase-group').classList.toggle('hidden', !hasSubtleCrypto());
+    showModal('api-key-modal');
+    document.getElementById('api-key-input').focus();
+}
+
+function showUnlockApiKeyModal() {
+    document.getElementById('unlock-passphrase-input').value = '';
+    showModal('unlock-modal');
+    document.getElementById('unlock-passphrase-input').focus();
+}
+
+function showAccessTokenModal() {
+    showModal('access-token-modal');
+    document.getElementById('access-token-input').focus();
+}
+
+function showSettingsModal() {
+    const settings = getSettings();
+
+    renderAIProviderOptions(settings);
+
+    document.getElementById('font-size-select').value = settings.fontSize;
+    document.getElementById('auto-save-toggle').checked = settings.autoSave;
+    document.getElementById('narrative-length-select').value = settings.narrativeLength;
+    document.getElementById('game-mode-select').value = settings.gameMode;
+    document.getElementById('eink-mode-toggle').checked = settings.einkMode;
+    document.getElementById('structured-output-toggle').checked = settings.structuredOutput;
+    document.getElementById('current-seed').textContent = gameState ? gameState.rng.seed : '-';
+    document.getElementById('seed-input').value = '';
+    renderUsageSettings(settings);
+    showModal('settings-modal');
+}
+
+function renderAIProviderOptions(settings) {
+    const selected = getAIProvider(settings.aiModel);
+    const optionsEl = document.getElementById('ai-provider-options');
+
+    optionsEl.innerHTML = Object.values(AI_PROVIDERS).map(provider => {
+        const availability = provider.checkAvailability(settings);
+        const status = availability.available ? '' : `<div class="settings-description">⚠ ${escapeHtml(availability.reason)}</div>`;
+        return `
+            <label class="settings-label">
+                <div class="settings-label-header">
+                    <input type="radio" name="ai-model" value="${provider.name}" id="model-${provider.name}" ${provider === selected ? 'checked' : ''}>
+                    ${escapeHtml(provider.label)}
+                </div>
+                <div class="settings-description">
+                    ${escapeHtml(provider.description)}
+                </div>
+                ${status}
+            </label>
+        `;
+    }).join('');
+
+    // Selected provider's own settings fields
+    const values = getProviderSettings(selected, settings);
+    const fieldsEl = document.getElementById('ai-provider-fields');
+    fieldsEl.innerHTML = selected.settingsFields.map(field => `
+        <label for="provider-field-${field.key}">${escapeHtml(field.label)}:</label>
+        <input type="${field.type}" id="provider-field-${field.key}" data-field="${field.key}" value="${escapeHtml(values[field.key])}" autocomplete="off">
+    `).join('');
+
+    optionsEl.querySelectorAll('input[name="ai-model"]').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            const settings = getSettings();
+            settings.aiModel = e.target.value;
+            saveSettings(settings);
+            renderAIProviderOptions(settings);
+
+            // Show info message about the change
+            showAlertModal(getAIProvider(e.target.value).selectedMessage, 'AI Model Changed');
+        });
+    });
+
+    fieldsEl.querySelectorAll('input[data-field]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const settings = getSettings();
+            settings.providerSettings = settings.providerSettings || {};
+            settings.providerSettings[selected.name] = {
+                ...settings.providerSettings[selected.name],
+                [e.target.dataset.field]: e.target.value.trim()
+            };
+            saveSettings(settings);
+        });
+    });
+}
+
+function renderSaveList(containerId, saves, { newSaveLabel = null, onSelect, onNew = null, refresh }) {
+    const listEl = document.getElementById(containerId);
+
+    const newRow = newSaveLabel ? `
+        <div class="save-slot empty" data-new="true">
+            <div class="save-slot-header">+ ${newSaveLabel}</div>
+        </div>
+    ` : '';
+
+    listEl.innerHTML = newRow + saves.map(save => {
+        const date = new Date(save.timestamp).toLocaleString();
+        const isAutoSave = save.id === AUTOSAVE_ID;
+        return `
+            <div class="save-slot" data-id="${escapeHtml(save.id)}">
+                <div class="save-slot-header">${escapeHtml(save.name || 'Untitled')}</div>
+                <div class="save-slot-info">${date}</div>
+                <div class="save-slot-info">${escapeHtml(save.thumbnail.location)} - ${escapeHtml(save.thumbnail.stats)}</div>
+                ${save.notes ? `<div class="save-slot-notes">${escapeHtml(save.notes)}</div>` : ''}
+                <div class="save-slot-actions">
+                    ${isAutoSave ? '' : '<button class="panel-toggle" data-action="rename">Rename</button>'}
+                    <button class="panel-toggle" data-action="notes">Notes</button>
+                    <button class="panel-toggle" data-action="duplicate">Duplicate</button>
+                    <button class="panel-toggle" data-action="branch">Branch</button>
+                    <button class="panel-toggle" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    if (saves.length === 0 && !newSaveLabel) {
+        listEl.innerHTML = '<div class="save-slot empty"><div class="save-slot-header">No saves yet</div></div>';
+    }
+
+    const newEl = listEl.querySelector('[data-new]');
+    if (newEl && onNew) {
+        newEl.addEventListener('click', onNew);
+    }
+
+    listEl.querySelectorAll('.save-slot[data-id]').forEach(el => {
+        const save = saves.find(s => s.id === el.dataset.id);
+
+        el.addEventListener('click', () => onSelect(save));
+
+        el.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation(); // Don't also select the save
+                handleSaveAction(btn.dataset.action, save, refresh);
+            });
+        });
+    });
+}
+
+function handleSaveAction(action, save, refresh) {
+    const run = async (operation, message) => {
+        try {
+            await operation();
+            if (message) showSuccessMessage(message);
+        } catch (error) {
+            showError(`Failed to ${action} save: ${error.message}`);
+        }
+        refresh();
+    };
+
+    if (action === 'rename') {
+        showPromptModal('Rename Save', 'Name:', save.name, (name) => {
+            if (name) run(() => renameSave(save.id, name), 'Save renamed');
+        });
+    } else if (action === 'notes') {
+        showPromptModal('Save Notes', 'Notes:', save.notes, (notes) => {
+            run(() => updateSaveNotes(save.id, notes));
+        }, true);
+    } else if (action === 'duplicate') {
+        run(() => duplicateSave(save.id), 'Save duplicated');
+    } else if (action === 'branch') {
+        showBranchModal(save);
+    } else if (action === 'delete') {
+        showConfirmModal(`Delete "${save.name}"? This cannot be undone.`, () => {
+            run(() => deleteSave(save.id), 'Save deleted');
+        }, 'Delete Save');
+    }
+}
+
+async function showSaveModal() {
+    if (!requireActiveSession()) return;
+
+    const saves = (await listSaves()).filter(save => save.id !== AUTOSAVE_ID);
+
+    const finishSave = async (saveId, name = null, force = false) => {
+        if (await saveGame(saveId, name, force)) {
+            hideModal('save-modal');
+            hideError();
+            // Show brief success message without disrupting narrative
+            showSuccessMessage('Game saved!');
+        }
+    };
+
+    renderSaveList('save-slots', saves, {
+        newSaveLabel: 'New Save',
+        onNew: () => {
+            const defaultName = gameState ? gameState.currentLocation.planetName : '';
+            showPromptModal('New Save', 'Name:', defaultName, (name) => {
+                if (name) finishSave(createSaveId(), name);
+            });
+        },
+        onSelect: (save) => {
+            showConfirmModal(`Overwrite "${save.name}"?`, () => finishSave(save.id, null, true), 'Confirm Save');
+        },
+        refresh: showSaveModal
+    });
+
+    showModal('save-modal');
+}
+
+async function showLoadModal() {
+    const saves = await listSaves();
+
+    renderSaveList('load-slots', saves, {
+        onSelect: async (save) => {
+            if (await loadGame(save.id)) {
+                hideModal('load-modal');
+                hideDiceRoll();
+            }
+        },
+        refresh: showLoadModal
+    });
+
+    renderTimelineTree(buildTimelineTree(saves));
+    renderRestorePoints(await listRestorePoints());
+
+    showModal('load-modal');
+}
+
+function renderTimelineTree(roots) {
+    const listEl = document.getElementById('timeline-tree');
+
+    if (!roots.some(run => run.children.length > 0)) {
+        listEl.innerHTML = '<div class="save-slot empty"><div class="save-slot-header">No branches yet - use Branch on a save to fork it</div></div>';
+        return;
+    }
+
+    const renderRun = (run, isBranch) => `
+        <div class="save-slot" data-id="${escapeHtml(run.latest.id)}">
+            <div class="save-slot-header">${isBranch ? '↳ ' : ''}${escapeHtml(run.latest.name || 'Untitled')}</div>
+            ${run.branch ? `<div class="save-slot-info">Split from "${escapeHtml(run.branch.parentName)}" at turn ${run.branch.turn}: ${escapeHtml(run.branch.action)}</div>` : ''}
+            <div class="save-slot-info">Now at ${escapeHtml(run.latest.thumbnail.location)}</div>
+        </div>
+        ${run.children.length ? `<div class="timeline-children">${run.children.map(child => renderRun(child, true)).join('')}</div>` : ''}
+    `;
+
+    listEl.innerHTML = roots.map(run => renderRun(run, false)).join('');
+
+    listEl.querySelectorAll('.save-slot[data-id]').forEach(el => {
+        el.addEventListener('click', async () => {
+            if (await loadGame(el.dataset.id)) {
+                hideModal('load-modal');
+                hideDiceRoll();
+            }
+        });
+    });
+}
+
+// Lists the turns of save's run, newest first; picking one forks a new save from it
+async function showBranchModal(save) {
+    const snapshots = await listTurnSnapshots(save.runId);
+    const listEl = document.getElementById('branch-turns');
+    document.getElementById('branch-save-name').textContent = save.name || 'Untitled';
+
+    if (snapshots.length === 0) {
+        listEl.innerHTML = '<div class="save-slot empty"><div class="save-slot-header">No turn snapshots for this save yet - play a turn first</div></div>';
+    } else {
+        listEl.innerHTML = snapshots.slice().reverse().map(snapshot => `
+            <div class="save-slot" data-turn="${snapshot.turn}">
+                <div class="save-slot-header">Turn ${snapshot.turn}: ${escapeHtml(snapshot.action)}</div>
+                <div class="save-slot-info">${new Date(snapshot.timestamp).toLocaleString()} - ${escapeHtml(snapshot.location)}</div>
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.save-slot[data-turn]').forEach(el => {
+            const turn = parseInt(el.dataset.turn);
+            el.addEventListener('click', () => {
+                showPromptModal('New Branch', 'Name:', `${save.name} (turn ${turn})`, async (name) => {
+                    if (!name) return;
+                    try {
+                        const saveId = await forkRun(save.runId, turn, name);
+                        if (await loadGame(saveId)) {
+                            hideModal('branch-modal');
+                            hideModal('load-modal');
+                            hideDiceRoll();
+                            showSuccessMessage(`Branched into "${name}"`);
+                        }
+                    } catch (error) {
+                        showError('Failed to branch: ' + error.message);
+                    }
+                });
+            });
+        });
+    }
+
+    showModal('branch-modal');
+}
+
+function renderRestorePoints(restorePoints) {
+    const listEl = document.getElementById('restore-points');
+
+    if (restorePoints.length === 0) {
+        listEl.innerHTML = '<div class="save-slot empty"><div class="save-slot-header">No restore points yet</div></div>';
+        return;
+    }
+
+    listEl.innerHTML = restorePoints.map(point => `
+        <div class="save-slot restore-point" data-id="${escapeHtml(point.id)}">
+            <div class="save-slot-header">${point.isPlayerDead ? '💀 ' : ''}${escapeHtml(point.name)}</div>
+            <div class="save-slot-info">${new Date(point.timestamp).toLocaleString()} - ${escapeHtml(point.thumbnail.location)}</div>
+        </div>
+    `).join('');
+
+    listEl.querySelectorAll('.save-slot[data-id]').forEach(el => {
+        el.addEventListener('click', () => {
+            showConfirmModal('Restore the game to this turn? Unsaved progress will be lost.', async () => {
+                if (await loadGame(el.dataset.id)) {
+                    hideModal('load-modal');
+                    hideDiceRoll();
+                    showSuccessMessage('Restored!');
+                }
+            }, 'Restore Turn');
+        });
+    });
+}
+
+async function showImportSlotModal(save) {
+    const saves = (await listSaves()).filter(s => s.id !== AUTOSAVE_ID); // Imports never replace the auto-save
+    const importedName = save.name || save.thumbnail?.location || save.gameState.currentLocation.planetName;
+
+    const place = async (saveId, name) => {
+        if (await importSave(save, saveId, name)) {
+            hideModal('import-modal');
+            showSuccessMessage(`Save imported as "${name}"`);
+            showLoadModal();
+        }
+    };
+
+    renderSaveList('import-slots', saves, {
+        newSaveLabel: 'New Save',
+        onNew: () => place(createSaveId(), importedName),
+        onSelect: (target) => {
+            showConfirmModal(`Overwrite "${target.name}" with the imported save?`, () => place(target.id, target.name), 'Confirm Import');
+        },
+        refresh: () => showImportSlotModal(save)
+    });
+
+    document.getElementById('import-save-location').textContent =
+        `${importedName}, saved ${new Date(save.timestamp).toLocaleString()}`;
+    showModal('import-modal');
+}
+
+function hideDiceRoll() {
+    document.getElementById('dice-result').classList.add('hidden');
+}
+
+// ===== SLASH COMMANDS =====
+// Custom actions starting with "/" are handled here instead of going to the Game Master: no AI
+// call, no dice and nothing added to conversationHistory. Output is plain text shown under the
+// narrative until the next turn replaces it. Each command's run(args) returns that text.
+const SLASH_COMMANDS = {};
+
+function registerSlashCommand(command) {
+    SLASH_COMMANDS[command.name] = command;
+}
+
+function showCommandOutput(text) {
+    const narrativeEl = document.getElementById('narrative');
+    let outputEl = narrativeEl.querySelector('.command-output');
+    if (!outputEl) {
+        outputEl = document.createElement('div');
+        outputEl.className = 'command-output';
+        narrativeEl.appendChild(outputEl);
+    }
+    outputEl.textContent = text;
+    outputEl.scrollIntoView({ block: 'nearest' });
+}
+
+async function runSlashCommand(input) {
+    const [name, ...args] = input.slice(1).trim().split(/\s+/);
+    const command = SLASH_COMMANDS[name.toLowerCase()];
+
+    if (!command) {
+        showCommandOutput(`Unknown command /${name}. Type /help for the list.`);
+        return;
+    }
+    if (command.needsGame && !gameState) {
+        showCommandOutput(`/${command.name} needs a game in progress.`);
+        return;
+    }
+
+    console.log('⌨️ Command:', input);
+    try {
+        const output = await command.run(args);
+        if (output) showCommandOutput(output);
+    } catch (error) {
+        showCommandOutput(`/${command.name} failed: ${error.message}`);
+    }
 }
 
-function enableActions() {
-    document.querySelectorAll('.action-btn, #custom-action-submit').forEach(btn => {
-        btn.disabled = false;
+// Completes a partly typed command name; several matches complete their common prefix and are listed
+function completeSlashCommand(value) {
+    if (!/^\/\S*$/.test(value)) return null;
+
+    const prefix = value.slice(1).toLowerCase();
+    const matches = Object.keys(SLASH_COMMANDS).filter(name => name.startsWith(prefix));
+    if (matches.length === 0) return null;
+    if (matches.length === 1) {
+        const command = SLASH_COMMANDS[matches[0]];
+        return { value: `/${command.name}${command.usage ? ' ' : ''}`, matches };
+    }
+
+    let common = matches[0];
+    matches.forEach(match => {
+        while (!match.startsWith(common)) common = common.slice(0, -1);
     });
+    return { value: `/${common}`, matches };
 }
 
-// ===== MODAL MANAGEMENT =====
-function showModal(modalId) {
-    document.getElementById(modalId).classList.add('visible');
+// Saves in the order the save and load screens show them, indexed by their number: 1 and up
+// for saves, 0 for the auto-save when includeAutoSave is set (only /load offers it)
+async function listNumberedSaves(includeAutoSave = false) {
+    const saves = await listSaves();
+    const autoSave = includeAutoSave ? saves.find(save => save.id === AUTOSAVE_ID) : null;
+    return [autoSave || null, ...saves.filter(save => save.id !== AUTOSAVE_ID)];
 }
 
-function hideModal(modalId) {
-    document.getElementById(modalId).classList.remove('visible');
+function formatSaveList(saves) {
+    const lines = saves
+        .map((save, number) => save && `${number}. ${save.name || 'Untitled'} - ${save.thumbnail?.location || 'Unknown'} (${new Date(save.timestamp).toLocaleString()})`)
+        .filter(Boolean);
+    return lines.length > 0 ? lines.join('\n') : 'No saves yet. Use /save to create one.';
 }
 
-function showAlertModal(message, title = 'Notice') {
-    document.getElementById('alert-title').textContent = title;
-    document.getElementById('alert-message').textContent = message;
-    showModal('alert-modal');
+// Returns the save for a number from listNumberedSaves, or throws
+async function getNumberedSave(arg, includeAutoSave = false) {
+    const saves = await listNumberedSaves(includeAutoSave);
+    const save = /^\d+$/.test(arg) ? saves[parseInt(arg, 10)] : null;
+    if (!save) {
+        throw new Error(`there is no save ${arg}.\n\n${formatSaveList(saves)}`);
+    }
+    return save;
 }
 
-function showConfirmModal(message, onConfirm, title = 'Confirm') {
-    document.getElementById('confirm-title').textContent = title;
-    document.getElementById('confirm-message').textContent = message;
+registerSlashCommand({
+    name: 'status',
+    description: 'Ship, location and run status',
+    needsGame: true,
+    run() {
+        const { ship, currentLocation, rewind } = gameState;
+        return [
+            `Hull integrity: ${ship.health}%`,
+            `Fuel: ${ship.fuel}`,
+            `Location: ${currentLocation.planetName} (${currentLocation.planetType}), ${currentLocation.systemName} system`,
+            `Galaxy center: ${currentLocation.distanceFromCenter.toLocaleString()} LY`,
+            `Turns played: ${gameState.transcript.length}`,
+            `Mode: ${GAME_MODES[rewind.mode].label} - ${describeRewindCharges()}`
+        ].join('\n');
+    }
+});
 
-    // Store callback for the yes button
-    const yesBtn = document.getElementById('confirm-yes-btn');
-    const noBtn = document.getElementById('confirm-no-btn');
+registerSlashCommand({
+    name: 'inventory',
+    description: 'What you are carrying',
+    needsGame: true,
+    run() {
+        const items = Object.entries(gameState.inventory).filter(([, quantity]) => quantity > 0);
+        if (items.length === 0) return 'Inventory: empty';
+        return ['Inventory:', ...items.map(([item, quantity]) => `  ${capitalize(item)} x${quantity}`)].join('\n');
+    }
+});
 
-    // Remove any existing listeners by cloning and replacing
-    const newYesBtn = yesBtn.cloneNode(true);
-    const newNoBtn = noBtn.cloneNode(true);
-    yesBtn.parentNode.replaceChild(newYesBtn, yesBtn);
-    noBtn.parentNode.replaceChild(newNoBtn, noBtn);
+registerSlashCommand({
+    name: 'skills',
+    description: 'Unspent skill points',
+    needsGame: true,
+    run() {
+        return ['Skills:', ...Object.entries(gameState.skills).map(([name, skill]) =>
+            `  ${capitalize(name)}: ${skill.points} points`
+        )].join('\n');
+    }
+});
 
-    // Add new listeners
-    newYesBtn.addEventListener('click', () => {
-        hideModal('confirm-modal');
-        if (onConfirm) onConfirm();
-    });
+registerSlashCommand({
+    name: 'save',
+    usage: '[number]',
+    description: 'Save as a new save, or overwrite save number (see /load)',
+    needsGame: true,
+    async run(args) {
+        if (isProcessingAction || !requireActiveSession()) return null;
+
+        const save = args[0] ? await getNumberedSave(args[0]) : null;
+        const saveId = save ? save.id : createSaveId();
+        // Naming the save by number is as explicit as confirming the overwrite in the save screen
+        if (!await saveGame(saveId, save ? null : gameState.currentLocation.planetName, Boolean(save))) {
+            return null;
+        }
+        return save ? `Overwrote save ${args[0]}: ${save.name}` : `Saved as "${gameState.currentLocation.planetName}".`;
+    }
+});
 
-    newNoBtn.addEventListener('click', () => {
-        hideModal('confirm-modal');
-    });
+registerSlashCommand({
+    name: 'load',
+    usage: '[number]',
+    description: 'List saves, or load save number (0 is the auto-save)',
+    async run(args) {
+        if (!args[0]) return formatSaveList(await listNumberedSaves(true));
+        if (isProcessingAction) return null;
+
+        const save = await getNumberedSave(args[0], true);
+        if (await loadGame(save.id)) {
+            hideDiceRoll();
+            showSuccessMessage(`Loaded "${save.name}"`);
+        }
+        return null; // The loaded game's narrative replaces the output
+    }
+});
 
-    showModal('confirm-modal');
-}
+registerSlashCommand({
+    name: 'history',
+    usage: '[count]',
+    description: 'Your most recent actions, newest first',
+    needsGame: true,
+    run(args) {
+        const count = parseInt(args[0], 10) || 10;
+        const entries = gameState.actionHistory.slice(0, count);
+        if (entries.length === 0) return 'No actions yet.';
+        return entries.map(entry => `${new Date(entry.timestamp).toLocaleTimeString()}  ${entry.action}`).join('\n');
+    }
+});
 
-function showContinueOrNewGameModal(title, message, continueText, newGameText, onContinue, onNewGame) {
-    document.getElementById('continue-title').textContent = title;
-    document.querySelector('#continue-modal p').textContent = message;
+registerSlashCommand({
+    name: 'seed',
+    description: 'This run\'s seed, to replay or share it',
+    needsGame: true,
+    run() {
+        return `Seed: ${gameState.rng.seed}\nStart a new game with this seed in Settings to replay the same scenario and dice.`;
+    }
+});
 
-    const continueBtn = document.getElementById('continue-btn');
-    const newGameBtn = document.getElementById('start-new-btn');
+registerSlashCommand({
+    name: 'help',
+    description: 'This list',
+    run() {
+        return [
+            'Commands (Tab completes them; nothing here is sent to the Game Master):',
+            ...Object.values(SLASH_COMMANDS).map(command =>
+                `  /${command.name}${command.usage ? ` ${command.usage}` : ''} - ${command.description}`
+            )
+        ].join('\n');
+    }
+});
 
-    continueBtn.textContent = continueText;
-    newGameBtn.textContent = newGameText;
+// ===== DEBUG TOOLS =====
+// Reachable from Settings > Debug Tools, and as window.nmsDebug from the browser console
+const PARSER_CORPUS_URL = 'fixtures/parser-corpus.json';
+
+// The functions a corpus case can exercise
+const PARSER_CORPUS_FUNCTIONS = {
+    parseStateUpdate: (input) => parseStateUpdate(input),
+    parseOptions: (input) => parseOptions(input),
+    parseOptionsFromAnywhere: (input) => parseOptionsFromAnywhere(input),
+    validateGameMasterResponse: (input) => validateGameMasterResponse({ text: input, turn: null })
+        .problems.map(problem => problem.code)
+};
 
-    // Remove any existing listeners by cloning and replacing
-    const newContinueBtn = continueBtn.cloneNode(true);
-    const newNewGameBtn = newGameBtn.cloneNode(true);
-    continueBtn.parentNode.replaceChild(newContinueBtn, continueBtn);
-    newGameBtn.parentNode.replaceChild(newNewGameBtn, newGameBtn);
+// JSON with sorted keys, so expected and actual values compare regardless of key order
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
 
-    // Add new listeners
-    newContinueBtn.addEventListener('click', () => {
-        hideModal('continue-modal');
-        if (onContinue) onContinue();
-    });
+// Runs every case through its parser and compares with the expected result
+async function runParserCorpus(cases = null) {
+    if (!cases) {
+        const response = await fetch(PARSER_CORPUS_URL);
+        if (!response.ok) throw new Error(`Could not load ${PARSER_CORPUS_URL}: ${response.status}`);
+        cases = (await response.json()).cases;
+    }
 
-    newNewGameBtn.addEventListener('click', () => {
-        hideModal('continue-modal');
-        if (onNewGame) onNewGame();
+    const results = cases.map(testCase => {
+        const run = PARSER_CORPUS_FUNCTIONS[testCase.function];
+        if (!run) {
+            return { ...testCase, passed: false, actual: `Unknown function ${testCase.function}` };
+        }
+        const actual = run(testCase.input);
+        return { ...testCase, passed: stableStringify(actual) === stableStringify(testCase.expected), actual };
     });
 
-    showModal('continue-modal');
+    const failed = results.filter(result => !result.passed);
+    console.log(`🧪 Parser corpus: ${results.length - failed.length}/${results.length} passed`);
+    failed.forEach(result => console.warn(`❌ ${result.name}`, { expected: result.expected, actual: result.actual }));
+    return results;
 }
 
-function showApiKeyModal() {
-    showModal('api-key-modal');
-    document.getElementById('api-key-input').focus();
+function renderResponseIssues() {
+    const issuesEl = document.getElementById('response-issues');
+    const errors = lastResponseValidation?.problems.filter(problem => problem.severity === 'error') || [];
+
+    issuesEl.classList.toggle('hidden', errors.length === 0);
+    issuesEl.textContent = `⚠ The Game Master's last reply was malformed (${errors.length} problem${errors.length === 1 ? '' : 's'}). Tap for details.`;
 }
 
-function showSettingsModal() {
-    const settings = getSettings();
+function renderValidationReport() {
+    const reportEl = document.getElementById('debug-validation');
 
-    // Set AI model radio button
-    const modelRadio = document.getElementById('model-' + settings.aiModel);
-    if (modelRadio) {
-        modelRadio.checked = true;
+    if (!lastResponseValidation) {
+        reportEl.innerHTML = '<p class="settings-description">No responses checked yet this session.</p>';
+        return;
     }
 
-    document.getElementById('font-size-select').value = settings.fontSize;
-    document.getElementById('auto-save-toggle').checked = settings.autoSave;
-    document.getElementById('narrative-length-select').value = settings.narrativeLength;
-    document.getElementById('eink-mode-toggle').checked = settings.einkMode;
-    showModal('settings-modal');
+    const { problems, timestamp } = lastResponseValidation;
+    reportEl.innerHTML = `
+        <p class="settings-description">Checked ${new Date(timestamp).toLocaleTimeString()}: ${problems.length === 0 ? 'no problems found.' : `${problems.length} problem(s).`}</p>
+        ${problems.map(problem => `
+            <div class="debug-problem ${problem.severity}">
+                <strong>${problem.severity === 'error' ? '✗' : '!'} ${escapeHtml(problem.code)}</strong> ${escapeHtml(problem.message)}
+            </div>
+        `).join('')}
+    `;
 }
 
-function showSaveModal() {
-    const slots = listSaveSlots().slice(1); // Skip auto-save slot 0
-    const slotsEl = document.getElementById('save-slots');
+async function showCorpusResults() {
+    const resultsEl = document.getElementById('debug-corpus');
+    resultsEl.innerHTML = '<p class="settings-description">Running...</p>';
 
-    slotsEl.innerHTML = slots.map(slot => {
-        if (slot.empty) {
-            return `
-                <div class="save-slot empty" data-slot="${slot.slot}">
-                    <div class="save-slot-header">Slot ${slot.slot} - Empty</div>
-                </div>
-            `;
-        } else {
-            const date = new Date(slot.timestamp).toLocaleString();
-            return `
-                <div class="save-slot" data-slot="${slot.slot}">
-                    <div class="save-slot-header">Slot ${slot.slot}</div>
-                    <div class="save-slot-info">${date}</div>
-                    <div class="save-slot-info">${slot.thumbnail.location} - ${slot.thumbnail.stats}</div>
+    try {
+        const results = await runParserCorpus();
+        const failed = results.filter(result => !result.passed);
+        resultsEl.innerHTML = `
+            <p class="settings-description">${results.length - failed.length} of ${results.length} cases passed.</p>
+            ${failed.map(result => `
+                <div class="debug-problem error">
+                    <strong>✗ ${escapeHtml(result.name)}</strong> (${escapeHtml(result.function)})
+                    <pre>expected ${escapeHtml(stableStringify(result.expected))}\nactual   ${escapeHtml(stableStringify(result.actual))}</pre>
                 </div>
-            `;
-        }
-    }).join('');
+            `).join('')}
+        `;
+    } catch (error) {
+        resultsEl.innerHTML = `<p class="settings-description">⚠ ${escapeHtml(error.message)}</p>`;
+    }
+}
 
-    // Add click handlers
-    document.querySelectorAll('#save-slots .save-slot').forEach(el => {
-        el.addEventListener('click', () => {
-            const slot = parseInt(el.dataset.slot);
-            if (!el.classList.contains('empty')) {
-                showConfirmModal('Overwrite this save?', () => {
-                    if (saveGame(slot)) {
-                        hideModal('save-modal');
-                        hideError();
-                        // Show brief success message without disrupting narrative
-                        showSuccessMessage('Game saved!');
-                    }
-                }, 'Confirm Save');
-            } else {
-                if (saveGame(slot)) {
-                    hideModal('save-modal');
-                    hideError();
-                    // Show brief success message without disrupting narrative
-                    showSuccessMessage('Game saved!');
-                }
-            }
-        });
-    });
+function renderContextReport() {
+    const reportEl = document.getElementById('debug-context');
 
-    showModal('save-modal');
+    if (!lastContextReport) {
+        reportEl.innerHTML = '<p class="settings-description">No requests built yet this session.</p>';
+        return;
+    }
+
+    const report = lastContextReport;
+    const rows = [
+        ['System prompt', `${report.systemTokens} (memory ${report.memoryTokens})`],
+        ['Current state', report.stateTokens],
+        ['Correction exchange', report.exchangeTokens],
+        ['History', `${report.historyTokens} - ${report.keptMessages} messages sent, ${report.droppedMessages} left out`],
+        ['Total', `${report.totalTokens} of ${report.budget.promptTokens} (${report.budget.contextTokens} window - ${report.budget.replyTokens} for the reply)`]
+    ];
+    reportEl.innerHTML = `
+        <p class="settings-description">${escapeHtml(getAIProvider(report.provider).label)}, built ${new Date(report.timestamp).toLocaleTimeString()}. Estimated tokens:</p>
+        ${rows.map(([label, value]) => `
+            <div class="debug-problem"><strong>${label}</strong> ${escapeHtml(String(value))}</div>
+        `).join('')}
+        ${report.totalTokens > report.budget.promptTokens ? '<div class="debug-problem error"><strong>✗ over budget</strong> The system prompt and state alone do not fit.</div>' : ''}
+    `;
 }
 
-function showLoadModal() {
-    const slots = listSaveSlots();
-    const slotsEl = document.getElementById('load-slots');
+function renderPromptCacheReport() {
+    const reportEl = document.getElementById('debug-cache');
+    const stats = promptCacheStats;
 
-    slotsEl.innerHTML = slots.map(slot => {
-        if (slot.empty) {
-            return `
-                <div class="save-slot empty">
-                    <div class="save-slot-header">${slot.slot === 0 ? 'Auto-save' : 'Slot ' + slot.slot} - Empty</div>
-                </div>
-            `;
-        } else {
-            const date = new Date(slot.timestamp).toLocaleString();
-            return `
-                <div class="save-slot" data-slot="${slot.slot}">
-                    <div class="save-slot-header">${slot.slot === 0 ? 'Auto-save' : 'Slot ' + slot.slot}</div>
-                    <div class="save-slot-info">${date}</div>
-                    <div class="save-slot-info">${slot.thumbnail.location} - ${slot.thumbnail.stats}</div>
-                </div>
-            `;
-        }
-    }).join('');
+    if (stats.requests === 0) {
+        reportEl.innerHTML = '<p class="settings-description">No Claude replies yet this session.</p>';
+        return;
+    }
 
-    // Add click handlers (only for non-empty slots)
-    document.querySelectorAll('#load-slots .save-slot:not(.empty)').forEach(el => {
-        el.addEventListener('click', () => {
-            const slot = parseInt(el.dataset.slot);
-            if (loadGame(slot)) {
-                hideModal('load-modal');
-                hideDiceRoll();
-            }
-        });
-    });
+    const last = stats.last;
+    reportEl.innerHTML = `
+        <div class="debug-problem"><strong>Last reply</strong> ${last.cacheReadTokens} tokens read from cache, ${last.cacheWriteTokens} written, ${last.inputTokens} uncached</div>
+        <div class="debug-problem"><strong>This session</strong> ${stats.requests} requests: ${stats.cacheReadTokens} read, ${stats.cacheWriteTokens} written, ${stats.inputTokens} uncached</div>
+        <div class="debug-problem"><strong>Savings</strong> ${describePromptCacheSavings(getPromptCacheSavings(stats))}</div>
+    `;
+}
 
-    showModal('load-modal');
+function describePromptCacheSavings(savings) {
+    const percent = Math.round(Math.abs(savings) * 100);
+    return savings >= 0 ? `about ${percent}% of the input cost` : `none - cache writes added about ${percent}% to the input cost`;
 }
 
-function hideDiceRoll() {
-    document.getElementById('dice-result').classList.add('hidden');
+function showDebugModal() {
+    renderValidationReport();
+    renderContextReport();
+    renderPromptCacheReport();
+    document.getElementById('debug-corpus').innerHTML = '';
+    showModal('debug-modal');
 }
 
+window.nmsDebug = {
+    get gameState() { return gameState; },
+    get lastValidation() { return lastResponseValidation; },
+    get lastContext() { return lastContextReport; },
+    get promptCache() { return promptCacheStats; },
+    validate: (text, turn = null) => validateGameMasterResponse({ text, turn }),
+    runParserCorpus
+};
+
 // ===== GAME INITIALIZATION =====
-async function startNewGame() {
+async function startNewGame(seed = generateSeed()) {
+    if (!requireActiveSession()) return;
+
+    gameState = createInitialGameState(seed, getSettings().gameMode);
+    console.log('🎲 Seed:', gameState.rng.seed);
+
     // Select random starting scenario
-    const scenario = STARTING_SCENARIOS[Math.floor(Math.random() * STARTING_SCENARIOS.length)];
+    const scenario = STARTING_SCENARIOS[randomInt(STARTING_SCENARIOS.length)];
     console.log('🎮 Starting scenario:', scenario.name);
 
-    gameState = createInitialGameState();
+    gameState.scenario = { id: scenario.id, name: scenario.name };
 
     // Apply scenario-specific starting conditions
     gameState.ship.health = scenario.shipHealth;
@@ -1833,7 +5342,7 @@ async function startNewGame() {
     gameState.inventory = { ...gameState.inventory, ...scenario.inventory };
 
     // Randomize starting distance (between 650,000 and 780,000 light years)
-    const randomDistance = 650000 + Math.floor(Math.random() * 130000);
+    const randomDistance = 650000 + randomInt(130000);
     gameState.currentLocation.distanceFromCenter = randomDistance;
     console.log(`🌌 Starting distance: ${randomDistance.toLocaleString()} LY`);
 
@@ -1854,21 +5363,31 @@ async function startNewGame() {
         showLoading('Initializing your adventure...');
 
         // Call AI with scenario-specific prompt
-        const response = await callAI(scenario.prompt);
+        const response = await callAI(scenario.prompt, createStreamingRenderer());
+        const parsed = parseAIResponse(response);
 
-        gameState.conversationHistory.push({
-            role: 'assistant',
-            content: response
-        });
+        // Kept as a user/assistant pair like every other turn, so the opening is sent with later turns
+        gameState.conversationHistory.push(
+            { role: 'user', content: scenario.prompt },
+            { role: 'assistant', content: getHistoryContent(response, parsed) }
+        );
 
-        const parsed = parseGameMasterResponse(response);
         applyStateUpdates(parsed.stateUpdate);
 
+        recordTranscriptEntry({
+            scenario: scenario.name,
+            stateUpdate: parsed.stateUpdate,
+            narrative: parsed.narrative,
+            isPlayerDead: false
+        });
+
         gameState.currentNarrative = parsed.narrative;
         gameState.currentOptions = parsed.options;
 
         updateGameUI();
         autoSave();
+        recordRestorePoint(`New game: ${scenario.name}`);
+        recordTurnSnapshot();
 
     } catch (error) {
         showError('Failed to start game: ' + error.message);
@@ -1878,12 +5397,27 @@ async function startNewGame() {
 }
 
 async function initializeGame() {
+    // The newest tab always gets the session; any older tab goes read-only
+    claimSession();
+
     // Apply settings
+    applySettings(getSettings());
+
+    // A passphrase-protected key has to be unlocked before anything can use it
+    migrateStoredApiKey();
+    if (isApiKeyLocked()) {
+        showUnlockApiKeyModal();
+        return;
+    }
+
+    continueInitialization();
+}
+
+async function continueInitialization() {
     const settings = getSettings();
-    applySettings(settings);
 
     // Check for URL parameter key import
-    const keyImported = importApiKeyFromUrl();
+    const keyImported = await importApiKeyFromUrl();
     if (keyImported) {
         // Show brief success message
         const successMsg = document.createElement('div');
@@ -1895,23 +5429,37 @@ async function initializeGame() {
 
     // Check for API key (only required for Claude mode)
     if (settings.aiModel === 'claude') {
+        await fetchServerConfig();
+
         const apiKey = getApiKey();
-        if (!apiKey) {
-            showApiKeyModal();
-            return;
+        if (!apiKey && !serverConfig.mock) {
+            // The proxy holds a key: players only need an access token
+            if (serverConfig.serverKey) {
+                if (!getAccessToken()) {
+                    showAccessTokenModal();
+                    return;
+                }
+            } else {
+                showApiKeyModal();
+                return;
+            }
         }
     }
 
+    resumeOrStartGame();
+}
+
+async function resumeOrStartGame() {
     // Check for auto-save
-    const autoSaveExists = localStorage.getItem(STORAGE_KEYS.autoSave);
+    const autoSaveExists = await hasSave(AUTOSAVE_ID);
     if (autoSaveExists) {
         showContinueOrNewGameModal(
             'Welcome Back',
             'Auto-save detected. Continue your previous game or start a new one?',
             'Continue',
             'New Game',
-            () => {
-                if (loadGame(0)) {
+            async () => {
+                if (await loadGame(AUTOSAVE_ID)) {
                     hideDiceRoll();
                 }
             },
@@ -1949,17 +5497,71 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // API key modal
-    document.getElementById('api-key-submit').addEventListener('click', () => {
+    document.getElementById('api-key-submit').addEventListener('click', async () => {
         const apiKey = document.getElementById('api-key-input').value.trim();
+        const passphrase = document.getElementById('api-key-passphrase-input').value;
         if (!apiKey) {
             showAlertModal('Please enter an API key');
             return;
         }
-        saveApiKey(apiKey);
+        try {
+            await saveApiKey(apiKey, hasSubtleCrypto() ? passphrase || null : null);
+        } catch (error) {
+            console.error('Could not store the API key:', error);
+            hideModal('api-key-modal');
+            showError(`Could not store the API key: ${error.message}`, () => {
+                hideError();
+                showApiKeyModal();
+            });
+            return;
+        }
+        document.getElementById('api-key-passphrase-input').value = '';
         hideModal('api-key-modal');
         startNewGame();
     });
 
+    // Unlock modal (passphrase-protected API key)
+    document.getElementById('unlock-submit').addEventListener('click', async () => {
+        const passphrase = document.getElementById('unlock-passphrase-input').value;
+        if (!passphrase) {
+            showAlertModal('Please enter your passphrase');
+            return;
+        }
+        try {
+            await unlockApiKey(passphrase);
+        } catch (error) {
+            showAlertModal(error.message);
+            return;
+        }
+        hideModal('unlock-modal');
+        continueInitialization();
+    });
+
+    document.getElementById('unlock-forget').addEventListener('click', () => {
+        showConfirmModal('Forget the stored API key? You will need to enter it again.', () => {
+            clearApiKey();
+            hideModal('unlock-modal');
+            continueInitialization();
+        }, 'Forget API Key');
+    });
+
+    // Access token modal (server-side key mode)
+    document.getElementById('access-token-submit').addEventListener('click', () => {
+        const accessToken = document.getElementById('access-token-input').value.trim();
+        if (!accessToken) {
+            showAlertModal('Please enter an access token');
+            return;
+        }
+        saveAccessToken(accessToken);
+        hideModal('access-token-modal');
+        resumeOrStartGame();
+    });
+
+    document.getElementById('access-token-use-key').addEventListener('click', () => {
+        hideModal('access-token-modal');
+        showApiKeyModal();
+    });
+
     // Settings modal
     document.getElementById('settings-close').addEventListener('click', () => {
         hideModal('settings-modal');
@@ -1983,32 +5585,68 @@ document.addEventListener('DOMContentLoaded', () => {
         saveSettings(settings);
     });
 
+    document.getElementById('structured-output-toggle').addEventListener('change', (e) => {
+        const settings = getSettings();
+        settings.structuredOutput = e.target.checked;
+        saveSettings(settings);
+    });
+
+    document.getElementById('game-mode-select').addEventListener('change', (e) => {
+        const settings = getSettings();
+        settings.gameMode = e.target.value;
+        saveSettings(settings);
+    });
+
     document.getElementById('narrative-length-select').addEventListener('change', (e) => {
         const settings = getSettings();
         settings.narrativeLength = e.target.value;
         saveSettings(settings);
     });
 
-    // AI model selection
-    document.querySelectorAll('input[name="ai-model"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            const settings = getSettings();
-            settings.aiModel = e.target.value;
-            saveSettings(settings);
+    // Usage meter
+    document.getElementById('usage-info-panel-toggle').addEventListener('change', (e) => {
+        const settings = getSettings();
+        settings.usageInInfoPanel = e.target.checked;
+        saveSettings(settings);
+        updateUsageDisplay();
+    });
 
-            // Show info message about the change
-            if (e.target.value === 'webllm') {
-                showAlertModal('WebLLM will download ~2GB on first use (Llama 3.2 model). The model runs entirely in your browser with no API costs.', 'AI Model Changed');
-            } else {
-                showAlertModal('Switched to Claude API. You will need a valid API key to continue.', 'AI Model Changed');
-            }
-        });
+    document.getElementById('usage-warning-input').addEventListener('change', (e) => {
+        const settings = getSettings();
+        const threshold = parseFloat(e.target.value);
+        settings.usageWarningThreshold = threshold > 0 ? threshold : null;
+        saveSettings(settings);
+        updateUsageDisplay();
+    });
+
+    document.getElementById('usage-rates-save').addEventListener('click', () => {
+        const settings = getSettings();
+        const text = document.getElementById('usage-rates-input').value.trim();
+        try {
+            // Emptying the table goes back to the defaults
+            settings.modelRates = text ? parseModelRates(text) : null;
+        } catch (error) {
+            showAlertModal(`Rates not saved: ${error.message}`, 'Invalid Rates');
+            return;
+        }
+        saveSettings(settings);
+        renderUsageSettings(settings);
+        showSuccessMessage('Rates saved. They apply to calls from now on.');
+    });
+
+    // Debug tools
+    document.getElementById('debug-tools-btn').addEventListener('click', () => {
+        hideModal('settings-modal');
+        showDebugModal();
     });
+    document.getElementById('response-issues').addEventListener('click', showDebugModal);
+    document.getElementById('debug-run-corpus').addEventListener('click', showCorpusResults);
+    document.getElementById('debug-close').addEventListener('click', () => hideModal('debug-modal'));
 
     document.getElementById('change-api-key-btn').addEventListener('click', () => {
         const settings = getSettings();
-        if (settings.aiModel === 'webllm') {
-            showAlertModal('API key is only needed for Claude API mode. You are currently using WebLLM, which runs entirely in your browser.', 'Notice');
+        if (settings.aiModel !== 'claude') {
+            showAlertModal(`API key is only needed for Claude API mode. You are currently using ${getAIProvider(settings.aiModel).label}.`, 'Notice');
             return;
         }
         hideModal('settings-modal');
@@ -2016,6 +5654,20 @@ document.addEventListener('DOMContentLoaded', () => {
         showApiKeyModal();
     });
 
+    // Start a run from a specific seed
+    document.getElementById('seed-start-btn').addEventListener('click', () => {
+        const seedText = document.getElementById('seed-input').value.trim();
+        if (!seedText) {
+            showAlertModal('Please enter a seed');
+            return;
+        }
+        const seed = parseSeed(seedText);
+        showConfirmModal(`Start a new game with seed ${seed}? Current progress will be lost unless saved.`, () => {
+            hideModal('settings-modal');
+            startNewGame(seed);
+        }, 'New Game With Seed');
+    });
+
     // Save/Load modals
     document.getElementById('save-btn').addEventListener('click', showSaveModal);
     document.getElementById('save-cancel').addEventListener('click', () => hideModal('save-modal'));
@@ -2023,6 +5675,49 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('load-btn').addEventListener('click', showLoadModal);
     document.getElementById('load-cancel').addEventListener('click', () => hideModal('load-modal'));
 
+    // Save file export/import
+    document.getElementById('save-export-btn').addEventListener('click', async () => {
+        try {
+            if (await exportSave()) {
+                hideModal('save-modal');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            showError(`Could not export the save: ${error.message}`);
+        }
+    });
+
+    document.getElementById('load-import-btn').addEventListener('click', () => {
+        document.getElementById('import-file-input').click();
+    });
+
+    document.getElementById('import-file-input').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        try {
+            const save = await readSaveFile(file);
+            hideModal('load-modal');
+            showImportSlotModal(save);
+        } catch (error) {
+            showAlertModal(error.message, 'Import Failed');
+        }
+    });
+
+    document.getElementById('import-cancel').addEventListener('click', () => hideModal('import-modal'));
+
+    // Transcript export
+    document.getElementById('export-btn').addEventListener('click', () => showModal('export-modal'));
+    document.getElementById('export-cancel').addEventListener('click', () => hideModal('export-modal'));
+    document.querySelectorAll('#export-modal [data-format]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (exportTranscript(btn.dataset.format)) {
+                hideModal('export-modal');
+            }
+        });
+    });
+
     // New game
     document.getElementById('new-game-btn').addEventListener('click', () => {
         showContinueOrNewGameModal(
@@ -2059,6 +5754,19 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Game over modal handlers
+    document.getElementById('rewind-from-death-btn').addEventListener('click', showRewindModal);
+
+    // Rewind
+    document.getElementById('rewind-btn').addEventListener('click', showRewindModal);
+    document.getElementById('rewind-cancel').addEventListener('click', () => hideModal('rewind-modal'));
+    document.getElementById('memory-btn').addEventListener('click', showMemoryModal);
+    document.getElementById('memory-save').addEventListener('click', saveMemoryEdits);
+    document.getElementById('memory-condense').addEventListener('click', condenseMemoryNow);
+    document.getElementById('memory-cancel').addEventListener('click', () => hideModal('memory-modal'));
+
+    // Branching
+    document.getElementById('branch-cancel').addEventListener('click', () => hideModal('branch-modal'));
+
     document.getElementById('restart-from-death-btn').addEventListener('click', () => {
         hideModal('game-over-modal');
         startNewGame();
@@ -2076,11 +5784,28 @@ document.addEventListener('DOMContentLoaded', () => {
             e.preventDefault();
             const input = document.getElementById('custom-action-input');
             const action = input.value.trim();
-            if (action) {
+            if (action.startsWith('/')) {
+                runSlashCommand(action);
+                input.value = '';
+            } else if (action) {
                 processPlayerAction(action);
                 input.value = '';
             }
         });
+
+        // Tab completes slash commands; anywhere else it moves focus as usual
+        document.getElementById('custom-action-input').addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab' || e.shiftKey) return;
+
+            const completion = completeSlashCommand(e.target.value);
+            if (!completion) return;
+
+            e.preventDefault();
+            e.target.value = completion.value;
+            if (completion.matches.length > 1) {
+                showCommandOutput(completion.matches.map(name => `/${name}`).join('  '));
+            }
+        });
     }
 
     // Skills panel toggle
@@ -2139,11 +5864,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // Auto-save on page unload
-    window.addEventListener('beforeunload', () => {
-        if (gameState) {
-            autoSave();
-        }
+    // Tab session
+    window.addEventListener('storage', handleSessionChange);
+    document.getElementById('session-takeover-btn').addEventListener('click', takeOverSession);
+    document.getElementById('session-dismiss-btn').addEventListener('click', () => hideModal('session-modal'));
+
+    // Auto-save when the page is hidden (there's still time for an IndexedDB write then)
+    // and stage a synchronous copy when it's closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') autoSave();
+    });
+    window.addEventListener('pagehide', stageUnloadSave);
+    window.addEventListener('pageshow', (event) => {
+        // Back from the back/forward cache: this tab plays on, so the staged copy is stale
+        if (event.persisted) localStorage.removeItem(STORAGE_KEYS.unloadSave);
     });
 
     // Initialize game
@@ -1,10 +1,76 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
 
 const app = express();
 let PORT = 3000;
 
+// Mock mode: answer /api/chat from fixtures instead of Claude, for offline development.
+// NMS_MOCK_RESPONSES is a directory of .txt/.json fixtures (played in file name order)
+// or a single .json file holding an array of them. Memory and format repair requests are
+// answered from MOCK_SIDE_REPLIES whichever fixtures are used.
+const MOCK_RESPONSES = process.env.NMS_MOCK_RESPONSES || null;
+const MOCK_SIDE_REPLIES = path.join(__dirname, 'fixtures', 'mock-game-master', 'side-replies');
+const MOCK_DELAY_MS = parseInt(process.env.NMS_MOCK_DELAY_MS || '30', 10); // Between streamed events
+
+// Loaded in main(); the shared proxy helpers are ES modules also used by the Cloudflare functions
+let usageLimits = null;
+let usageLimiter = null;
+let requestValidation = null;
+let validationConfig = null;
+let mockGameMaster = null;
+let mockModule = null;
+let serverKey = null; // Server-side key mode: ANTHROPIC_API_KEY plus NMS_ACCESS_TOKENS
+
+// .txt files are plain text replies; .json files hold one fixture or an array of them
+function loadMockFixtures(location) {
+    const readFixtures = (file) => {
+        const content = fs.readFileSync(file, 'utf8');
+        if (file.endsWith('.txt')) return [content];
+        const parsed = JSON.parse(content);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    };
+
+    if (!fs.statSync(location).isDirectory()) {
+        return readFixtures(location);
+    }
+
+    return fs.readdirSync(location)
+        .filter(name => name.endsWith('.txt') || name.endsWith('.json'))
+        .sort()
+        .flatMap(name => readFixtures(path.join(location, name)));
+}
+
+async function sendMockReply(res, payload) {
+    const side = mockModule.getSideRequestKind(payload);
+    if (side) console.log('🎭 Mock side request:', side);
+    const fixture = mockGameMaster.nextReply(payload);
+
+    if (fixture.status) {
+        console.log('🎭 Mock error response:', fixture.status);
+        return res.status(fixture.status).json(fixture.body);
+    }
+
+    const message = mockModule.buildMockMessage(fixture, payload);
+    if (!payload.stream) {
+        console.log('🎭 Mock response sent');
+        return res.json(message);
+    }
+
+    console.log('🎭 Streaming mock response');
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+
+    for (const event of mockModule.formatMockStream(message)) {
+        res.write(event);
+        await new Promise(resolve => setTimeout(resolve, MOCK_DELAY_MS));
+    }
+    res.end();
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -12,16 +78,55 @@ app.use(express.json({ limit: '10mb' }));
 // Serve static files
 app.use(express.static(__dirname));
 
+// Tells the client whether it needs to ask the player for an API key
+app.get('/api/config', (req, res) => {
+    res.json({ serverKey: serverKey.isServerKeyEnabled(process.env), mock: !!mockGameMaster });
+});
+
 // Proxy endpoint for Claude API
 app.post('/api/chat', async (req, res) => {
     console.log('📥 Received request to /api/chat');
-    console.log('   Model:', req.body.model);
+    console.log('   Model:', req.body?.model);
+
+    // Settle the daily budget reservation exactly once, whichever way the request ends
+    let reservation = null;
+    const settleUsage = async (usage) => {
+        const settled = reservation;
+        reservation = null;
+        await usageLimiter.recordUsage(settled, usage);
+    };
+
     try {
-        const apiKey = req.headers['x-api-key'];
+        // No key needed in mock mode, but requests are still validated like real ones
+        if (mockGameMaster) {
+            const validation = requestValidation.validateChatRequest(req.body, validationConfig);
+            if (!validation.valid) {
+                console.log('🚫 Rejected request:', validation.body.error.message);
+                return res.status(validation.status).json(validation.body);
+            }
+            return await sendMockReply(res, validation.payload);
+        }
+
+        const { apiKey, status, error, clientId = `ip:${req.ip}` } = serverKey.resolveApiKey(name => req.headers[name], process.env);
 
         if (!apiKey) {
-            return res.status(401).json({ error: 'API key required' });
+            return res.status(status).json({ error });
+        }
+
+        const validation = requestValidation.validateChatRequest(req.body, validationConfig);
+        if (!validation.valid) {
+            console.log('🚫 Rejected request:', validation.body.error.message);
+            return res.status(validation.status).json(validation.body);
+        }
+        const { payload } = validation;
+
+        const limit = await usageLimiter.checkRequest(clientId, payload);
+        if (!limit.allowed) {
+            console.log('⛔ Limit reached:', limit.body.error.message);
+            res.setHeader('Retry-After', limit.retryAfter);
+            return res.status(limit.status).json(limit.body);
         }
+        reservation = limit.reservation;
 
         // Forward the request to Claude API
         const response = await fetch('https://api.anthropic.com/v1/messages', {
@@ -29,29 +134,51 @@ app.post('/api/chat', async (req, res) => {
             headers: {
                 'Content-Type': 'application/json',
                 'x-api-key': apiKey,
-                'anthropic-version': req.body.apiVersion || '2023-06-01'
+                'anthropic-version': validation.apiVersion
             },
-            body: JSON.stringify({
-                model: req.body.model,
-                max_tokens: req.body.max_tokens,
-                temperature: req.body.temperature,
-                system: req.body.system,
-                messages: req.body.messages
-            })
+            body: JSON.stringify(payload)
         });
 
+        // Relay server-sent events as they arrive instead of buffering the reply
+        if (payload.stream && response.ok) {
+            console.log('📡 Streaming response to client');
+            res.status(200);
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.flushHeaders();
+
+            const tracker = usageLimits.createStreamUsageTracker();
+            for await (const chunk of response.body) {
+                tracker.push(chunk);
+                res.write(chunk);
+            }
+            res.end();
+
+            await settleUsage(tracker.usage);
+            return;
+        }
+
         const data = await response.json();
 
         if (!response.ok) {
             console.log('❌ Anthropic API error:', response.status, data);
+            await settleUsage(null);
+            // Lets the client wait as long as Anthropic asks before retrying
+            const retryAfter = response.headers.get('retry-after');
+            if (retryAfter) res.setHeader('Retry-After', retryAfter);
             return res.status(response.status).json(data);
         }
 
         console.log('✅ Success! Response received');
+        await settleUsage(data.usage);
         res.json(data);
 
     } catch (error) {
         console.error('Proxy error:', error);
+        await settleUsage(null);
+        if (res.headersSent) {
+            return res.end();
+        }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -79,4 +206,32 @@ function startServer(port) {
         });
 }
 
-startServer(PORT);
+async function main() {
+    serverKey = await import('./functions/_lib/server-key.mjs');
+    if (process.env.ANTHROPIC_API_KEY && !serverKey.isServerKeyEnabled(process.env)) {
+        console.warn('⚠️  ANTHROPIC_API_KEY is set but NMS_ACCESS_TOKENS is empty - server key mode disabled');
+    }
+
+    usageLimits = await import('./functions/_lib/usage-limits.mjs');
+    const limitConfig = usageLimits.readLimitConfig(process.env);
+    usageLimiter = usageLimits.createUsageLimiter(limitConfig, usageLimits.createMemoryStore());
+    console.log('🚦 Limits:', limitConfig);
+
+    requestValidation = await import('./functions/_lib/request-validation.mjs');
+    validationConfig = requestValidation.readValidationConfig(process.env);
+    console.log('🛡️  Allowed models:', validationConfig.allowedModels.join(', '));
+
+    if (MOCK_RESPONSES) {
+        mockModule = await import('./functions/_lib/mock-game-master.mjs');
+        const sideReplies = {
+            memory: fs.readFileSync(path.join(MOCK_SIDE_REPLIES, 'memory.txt'), 'utf8'),
+            repair: fs.readFileSync(path.join(MOCK_SIDE_REPLIES, 'repair.txt'), 'utf8')
+        };
+        mockGameMaster = mockModule.createMockGameMaster(loadMockFixtures(MOCK_RESPONSES), sideReplies);
+        console.log(`🎭 Mock mode: ${mockGameMaster.size} fixture(s) from ${MOCK_RESPONSES}, Claude is never called`);
+    }
+
+    startServer(PORT);
+}
+
+main();
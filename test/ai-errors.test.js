@@ -0,0 +1,38 @@
+// Which AI call failures are retried as network errors
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./load-game');
+
+function load() {
+    return loadGame(['fetchAIEndpoint', 'callWithRetries', 'AI_RETRY_CONFIG', 'globalThis']);
+}
+
+test('a fetch that cannot reach the host becomes a retryable network error', async () => {
+    const game = load();
+    game.globalThis.fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+
+    await assert.rejects(game.fetchAIEndpoint('/api/chat', {}, 'Could not reach the game server.'), error => {
+        assert.strictEqual(error.kind, 'network');
+        assert.strictEqual(error.retryable, true);
+        assert.strictEqual(error.message, 'Could not reach the game server.');
+        return true;
+    });
+});
+
+test('a TypeError after the response arrived is a bug, not a connection problem', async () => {
+    const game = load();
+    game.AI_RETRY_CONFIG.baseDelay = 1;
+    game.globalThis.fetch = async () => ({ ok: true });
+
+    let attempts = 0;
+    await assert.rejects(game.callWithRetries(async () => {
+        attempts += 1;
+        const response = await game.fetchAIEndpoint('/api/chat', {}, 'Could not reach the game server.');
+        return response.headers.get('Content-Type'); // headers is undefined
+    }), error => {
+        assert.strictEqual(error.name, 'TypeError');
+        assert.strictEqual(error.kind, undefined);
+        return true;
+    });
+    assert.strictEqual(attempts, 1);
+});
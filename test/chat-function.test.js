@@ -0,0 +1,79 @@
+// The Cloudflare Pages proxy (functions/api/chat.js) settling the daily budget reservation
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Pages Functions are ES modules in a CommonJS package (Cloudflare bundles them), so the
+// source is imported as a data: URL with its relative imports made absolute
+async function importPagesFunction(file) {
+    const source = fs.readFileSync(file, 'utf8').replace(/from '(\.{1,2}\/[^']+)'/g,
+        (match, specifier) => `from '${pathToFileURL(path.resolve(path.dirname(file), specifier)).href}'`);
+    return import(`data:text/javascript,${encodeURIComponent(source)}`);
+}
+
+const MESSAGE_START = { type: 'message_start', message: { usage: { input_tokens: 120, output_tokens: 0 } } };
+const MESSAGE_DELTA = { type: 'message_delta', usage: { output_tokens: 80 } };
+
+function streamResponse() {
+    const body = [MESSAGE_START, MESSAGE_DELTA]
+        .map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+        .join('');
+    return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+// A KV namespace whose writes land but then reject, like a write that times out
+function createFlakyKV() {
+    const values = new Map();
+    const kv = {
+        failing: false,
+        writesWhileFailing: 0,
+        async get(key) {
+            return values.has(key) ? JSON.parse(values.get(key)) : null;
+        },
+        async put(key, value) {
+            values.set(key, value);
+            if (kv.failing) {
+                kv.writesWhileFailing += 1;
+                throw new Error('KV write timed out');
+            }
+        }
+    };
+    return kv;
+}
+
+test('a streamed reply settles its reservation once, even when the settling write fails', async (t) => {
+    const { onRequestPost } = await importPagesFunction(path.join(__dirname, '..', 'functions', 'api', 'chat.js'));
+    const kv = createFlakyKV();
+    const waits = [];
+
+    const realFetch = globalThis.fetch;
+    t.after(() => { globalThis.fetch = realFetch; });
+    globalThis.fetch = async () => {
+        kv.failing = true; // Only the settle after the reply writes from here on
+        return streamResponse();
+    };
+
+    const request = new Request('https://example.com/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': 'sk-ant-test' },
+        body: JSON.stringify({
+            model: 'claude-3-5-haiku-20241022',
+            max_tokens: 512,
+            stream: true,
+            messages: [{ role: 'user', content: 'Begin the game.' }]
+        })
+    });
+    const response = await onRequestPost({
+        request,
+        env: { NMS_USAGE_KV: kv, NMS_DAILY_TOKEN_BUDGET: '100000' },
+        waitUntil: promise => waits.push(promise)
+    });
+
+    assert.strictEqual(response.status, 200);
+    await response.text().catch(() => {}); // The stream errors when flush throws
+    await Promise.all(waits);
+
+    assert.strictEqual(kv.writesWhileFailing, 1);
+});
@@ -0,0 +1,59 @@
+// What buildContext sends: which history messages fit the budget, and the opening scene
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, plain } = require('./load-game');
+
+const OPENING_PROMPT = 'Begin the game. The player wakes up inside their crashed ship.';
+const OPENING_NARRATIVE = 'You come to in the cockpit of your wrecked starship, alarms chirping weakly.';
+
+function loadWithHistory(history) {
+    const game = loadGame(['buildContext', 'createInitialGameState', 'globalThis']);
+    const state = game.createInitialGameState(1234, 'standard');
+    state.conversationHistory = history;
+    game.globalThis.__state = state;
+    game.globalThis.eval('gameState = __state');
+    return game;
+}
+
+test('the opening scene is sent on turn 2', async () => {
+    const game = loadGame(['startNewGame', 'buildContext', 'getSettings', 'saveSettings']);
+    game.saveSettings({ ...game.getSettings(), aiModel: 'mock' });
+    await game.startNewGame(1234);
+
+    const messages = plain(game.buildContext('mock', {}, 'Mine the iron deposits').messages);
+    assert.strictEqual(messages.length, 3);
+    assert.strictEqual(messages[0].role, 'user');
+    assert.match(messages[0].content, /^Begin the game\./);
+    assert.strictEqual(messages[1].role, 'assistant');
+    assert.match(messages[1].content, /^You come to in the cockpit/);
+    assert.deepStrictEqual(messages[2], { role: 'user', content: 'Mine the iron deposits' });
+});
+
+test('older saves that open with a lone assistant message still send it', () => {
+    const { buildContext } = loadWithHistory([
+        { role: 'assistant', content: OPENING_NARRATIVE },
+        { role: 'user', content: 'Mine the iron deposits' },
+        { role: 'assistant', content: 'The deposits crumble into ore.' }
+    ]);
+
+    const context = buildContext('mock', {}, 'Pry open the supply pod');
+    assert.strictEqual(context.messages[0].content, OPENING_NARRATIVE);
+    assert.strictEqual(context.historyLength, 3);
+});
+
+test('history that does not fit is dropped in whole pairs from the oldest end', () => {
+    const long = 'x'.repeat(400000);
+    const { buildContext } = loadWithHistory([
+        { role: 'user', content: OPENING_PROMPT },
+        { role: 'assistant', content: long },
+        { role: 'user', content: 'Mine the iron deposits' },
+        { role: 'assistant', content: 'The deposits crumble into ore.' }
+    ]);
+
+    const context = buildContext('mock', {}, 'Pry open the supply pod');
+    assert.deepStrictEqual(plain(context.messages).map(message => message.content), [
+        'Mine the iron deposits',
+        'The deposits crumble into ore.',
+        'Pry open the supply pod'
+    ]);
+});
@@ -0,0 +1,91 @@
+// Loads js/game.js into a sandbox with just enough of the browser stubbed out to call
+// its plain functions from tests. Nothing is initialized: DOMContentLoaded never fires.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const GAME_SOURCE = path.join(ROOT, 'js', 'game.js');
+
+function createElementStub() {
+    const noop = () => {};
+    const element = new Proxy(function () {}, {
+        get(target, key) {
+            if (key === 'classList') return { add: noop, remove: noop, toggle: noop, contains: () => false };
+            if (key === 'style' || key === 'dataset') return {};
+            return element;
+        },
+        apply: () => element,
+        set: () => true
+    });
+    return element;
+}
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        key: index => Array.from(items.keys())[index] ?? null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+// Answers relative URLs from the repo like the static server does, e.g. the mock fixtures
+async function fetchRepoFile(url) {
+    const file = path.join(ROOT, String(url));
+    const found = file.startsWith(ROOT) && fs.existsSync(file) && fs.statSync(file).isFile();
+    const read = () => fs.readFileSync(file, 'utf8');
+    return {
+        ok: found,
+        status: found ? 200 : 404,
+        headers: new Headers(),
+        text: async () => read(),
+        json: async () => JSON.parse(read())
+    };
+}
+
+// Returns the named top-level functions and constants of game.js
+function loadGame(names) {
+    const noop = () => {};
+    const element = createElementStub();
+    const context = {
+        console: { log: noop, info: noop, warn: noop, error: noop },
+        marked: { setOptions: noop, parse: text => text },
+        document: {
+            addEventListener: noop,
+            getElementById: () => element,
+            querySelector: () => element,
+            querySelectorAll: () => [],
+            createElement: () => element,
+            body: element
+        },
+        localStorage: createLocalStorage(),
+        navigator: {},
+        crypto: globalThis.crypto,
+        TextEncoder,
+        TextDecoder,
+        setTimeout,
+        clearTimeout,
+        scrollTo: noop,
+        Headers,
+        fetch: fetchRepoFile
+    };
+    context.window = context;
+    context.globalThis = context;
+    vm.createContext(context);
+
+    const source = fs.readFileSync(GAME_SOURCE, 'utf8');
+    vm.runInContext(`${source}\n;globalThis.__exports = { ${names.join(', ')} };`, context, { filename: GAME_SOURCE });
+    return context.__exports;
+}
+
+// Objects built inside the sandbox have its own prototypes, which deepStrictEqual rejects
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadGame, plain };
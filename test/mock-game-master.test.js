@@ -0,0 +1,138 @@
+// Proxy mock mode (functions/_lib/mock-game-master.mjs): script order and side requests,
+// driven with the messages the game itself sends
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadGame, plain } = require('./load-game');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'mock-game-master');
+const SIDE_REPLIES = {
+    memory: fs.readFileSync(path.join(FIXTURE_DIR, 'side-replies', 'memory.txt'), 'utf8'),
+    repair: fs.readFileSync(path.join(FIXTURE_DIR, 'side-replies', 'repair.txt'), 'utf8')
+};
+const FIXTURE_FILES = fs.readdirSync(FIXTURE_DIR)
+    .filter(name => name.endsWith('.txt') || name.endsWith('.json'))
+    .sort();
+
+// The same fixtures server.js loads for NMS_MOCK_RESPONSES=fixtures/mock-game-master
+function readFixtures() {
+    return FIXTURE_FILES.map(name => {
+        const content = fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+        return name.endsWith('.txt') ? content : JSON.parse(content);
+    });
+}
+
+// Plays real turns in the sandbox, answering every request the way the proxy would.
+// Returns each request's messages, side request kind and reply, and the final game state.
+async function playThroughProxyMock(mock, actions) {
+    const game = loadGame([
+        'startNewGame',
+        'processPlayerAction',
+        'registerAIProvider',
+        'buildContext',
+        'getSettings',
+        'saveSettings',
+        'globalThis'
+    ]);
+    const gameMaster = mock.createMockGameMaster(readFixtures(), SIDE_REPLIES);
+    const requests = [];
+
+    const reply = (messages) => {
+        const payload = { messages: plain(messages) };
+        const fixture = gameMaster.nextReply(payload);
+        requests.push({ messages: payload.messages, side: mock.getSideRequestKind(payload), text: fixture.text });
+        return { text: fixture.text, turn: fixture.turn };
+    };
+
+    game.registerAIProvider({
+        name: 'proxy-mock',
+        label: 'Proxy mock',
+        settingsFields: [],
+        checkAvailability: () => ({ available: true }),
+        contextBudget: () => ({ contextTokens: 200000, replyTokens: 1024, charsPerToken: 3.5 }),
+        call: async (userMessage, onText, providerSettings, exchange) =>
+            reply(game.buildContext('proxy-mock', providerSettings, userMessage, exchange).messages),
+        complete: async (context) => reply(context.messages)
+    });
+    game.saveSettings({ ...game.getSettings(), aiModel: 'proxy-mock' });
+
+    await game.startNewGame(1234);
+    for (const action of actions) {
+        await game.processPlayerAction(action);
+    }
+    return { requests, gameState: plain(game.globalThis.eval('gameState')) };
+}
+
+const opening = { messages: [{ role: 'user', content: 'Begin the game. The player wakes up in their crashed ship.' }] };
+
+test('a game plays the fixtures in order, with the format repair answered on the side', async () => {
+    const mock = await import('../functions/_lib/mock-game-master.mjs');
+    const { requests, gameState } = await playThroughProxyMock(mock, ['Mine the iron deposits', 'Pry open the supply pod', 'Signal the outpost', 'Wait']);
+
+    const fixtures = readFixtures().map(fixture => (typeof fixture === 'string' ? fixture : fixture.text));
+    assert.deepStrictEqual(requests.map(request => request.side || request.text), [
+        fixtures[0],
+        fixtures[1],
+        fixtures[2],
+        fixtures[3],
+        fixtures[4],
+        'repair' // 05 has no options at all
+    ]);
+
+    // Turn 2 carries the opening scene, so it isn't mistaken for a new game
+    assert.strictEqual(requests[1].messages.length, 3);
+    assert.strictEqual(gameState.transcript.length, 5);
+    assert.match(gameState.transcript[4].narrative, /drone loses interest/);
+    assert.deepStrictEqual(gameState.currentOptions.map(option => option.text), [
+        'Dig toward the signal',
+        'Mark the spot and return to the ship',
+        'Boost the signal with your scanner'
+    ]);
+});
+
+test('a new game starts the script over', async () => {
+    const mock = await import('../functions/_lib/mock-game-master.mjs');
+    const gameMaster = mock.createMockGameMaster(['first', 'second', 'third'], SIDE_REPLIES);
+    const turnTwo = { messages: [...opening.messages, { role: 'assistant', content: 'first' }, { role: 'user', content: 'Mine' }] };
+
+    assert.strictEqual(gameMaster.nextReply(opening).text, 'first');
+    assert.strictEqual(gameMaster.nextReply(turnTwo).text, 'second');
+    assert.strictEqual(gameMaster.nextReply(opening).text, 'first');
+});
+
+test('memory and repair requests get their side reply and do not use up a fixture', async () => {
+    const mock = await import('../functions/_lib/mock-game-master.mjs');
+    const gameMaster = mock.createMockGameMaster(['first', 'second', 'third'], SIDE_REPLIES);
+    const turnTwo = { messages: [...opening.messages, { role: 'assistant', content: 'first' }, { role: 'user', content: 'Mine' }] };
+    const memoryRequest = { messages: [{ role: 'user', content: 'Update your long-term memory of this run. These earlier turns...' }] };
+    const repairRequest = {
+        messages: [
+            ...turnTwo.messages,
+            { role: 'assistant', content: 'A reply without options' },
+            { role: 'user', content: [{ type: 'text', text: 'Your last reply broke the response format:\n- No options' }] }
+        ]
+    };
+
+    assert.strictEqual(gameMaster.nextReply(opening).text, 'first');
+    assert.strictEqual(mock.getSideRequestKind(memoryRequest), 'memory');
+    assert.strictEqual(gameMaster.nextReply(memoryRequest).text, SIDE_REPLIES.memory);
+    assert.strictEqual(mock.getSideRequestKind(repairRequest), 'repair');
+    assert.strictEqual(gameMaster.nextReply(repairRequest).text, SIDE_REPLIES.repair);
+
+    assert.strictEqual(mock.getSideRequestKind(turnTwo), null);
+    assert.strictEqual(gameMaster.nextReply(turnTwo).text, 'second');
+});
+
+test('every opening scenario is recognized as a new game', async () => {
+    const mock = await import('../functions/_lib/mock-game-master.mjs');
+    const { STARTING_SCENARIOS } = loadGame(['STARTING_SCENARIOS']);
+    STARTING_SCENARIOS.forEach(scenario => assert.ok(scenario.prompt.startsWith(mock.NEW_GAME_INTRO), scenario.id));
+});
+
+test('the in-browser mock names every fixture file, in file name order', () => {
+    const { MOCK_GAME_MASTER_CONFIG } = loadGame(['MOCK_GAME_MASTER_CONFIG']);
+    assert.deepStrictEqual([...MOCK_GAME_MASTER_CONFIG.fixtures], FIXTURE_FILES);
+    Object.values(MOCK_GAME_MASTER_CONFIG.sideReplies)
+        .forEach(name => assert.ok(fs.existsSync(path.join(FIXTURE_DIR, name)), name));
+});
@@ -0,0 +1,22 @@
+// Runs fixtures/parser-corpus.json through the response parsers, one test per case
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadGame, plain } = require('./load-game');
+
+const { runParserCorpus } = loadGame(['runParserCorpus']);
+
+const corpus = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'parser-corpus.json'), 'utf8'));
+
+test('parser corpus', async (t) => {
+    const results = await runParserCorpus(corpus.cases);
+    assert.strictEqual(results.length, corpus.cases.length);
+
+    for (const result of results) {
+        await t.test(`${result.function}: ${result.name}`, () => {
+            assert.deepStrictEqual(plain(result.actual), result.expected);
+            assert.ok(result.passed, 'the debug tools report the same result');
+        });
+    }
+});
@@ -0,0 +1,56 @@
+// Cache breakpoints on the Claude request: rules, long-term memory and older history
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, plain } = require('./load-game');
+
+const CACHED = { type: 'ephemeral' };
+
+function loadWithState(change) {
+    const game = loadGame(['applyPromptCaching', 'buildContext', 'createInitialGameState', 'getGameMasterRules', 'globalThis']);
+    const state = game.createInitialGameState(1234, 'standard');
+    state.conversationHistory = [
+        { role: 'user', content: 'Begin the game.' },
+        { role: 'assistant', content: 'You come to in the cockpit.' },
+        { role: 'user', content: 'Mine the iron deposits' },
+        { role: 'assistant', content: 'The deposits crumble into ore.' }
+    ];
+    change(state);
+    game.globalThis.__state = state;
+    game.globalThis.eval('gameState = __state');
+    return game;
+}
+
+test('the rules, the memory and the newest history message each get a breakpoint', () => {
+    const game = loadWithState(state => {
+        state.memory.summary = 'You crash-landed on a desert world.';
+    });
+    const prompt = plain(game.applyPromptCaching(game.buildContext('claude', {}, 'Pry open the supply pod')));
+
+    assert.deepStrictEqual(prompt.system.map(block => block.cache_control), [CACHED, CACHED]);
+    assert.strictEqual(prompt.system[0].text, game.getGameMasterRules());
+    assert.match(prompt.system[1].text, /^LONG-TERM MEMORY/);
+    assert.match(prompt.system[1].text, /desert world/);
+
+    assert.deepStrictEqual(prompt.messages.map(message => Array.isArray(message.content) ? message.content[0].cache_control : null), [
+        null, null, null, CACHED, null
+    ]);
+    assert.strictEqual(prompt.messages[3].content[0].text, 'The deposits crumble into ore.');
+    assert.strictEqual(prompt.messages[4].content, 'Pry open the supply pod');
+});
+
+test('without memory the rules are the only system block', () => {
+    const game = loadWithState(() => {});
+    const prompt = plain(game.applyPromptCaching(game.buildContext('claude', {}, 'Pry open the supply pod')));
+
+    assert.deepStrictEqual(prompt.system, [{ type: 'text', text: game.getGameMasterRules(), cache_control: CACHED }]);
+});
+
+test('a memory update leaves the cached rules block unchanged', () => {
+    const before = loadWithState(() => {});
+    const after = loadWithState(state => {
+        state.memory.facts = ['A sentinel drone patrols the crash site'];
+    });
+    const rules = game => plain(game.applyPromptCaching(game.buildContext('claude', {}, 'Wait'))).system[0];
+
+    assert.deepStrictEqual(rules(after), rules(before));
+});
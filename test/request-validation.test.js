@@ -0,0 +1,51 @@
+// /api/chat request validation (functions/_lib/request-validation.mjs), shared by both proxies
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./load-game');
+
+const { GAME_MASTER_TOOL } = loadGame(['GAME_MASTER_TOOL']);
+
+async function load() {
+    const validation = await import('../functions/_lib/request-validation.mjs');
+    return { ...validation, config: validation.readValidationConfig({}) };
+}
+
+function chatRequest(overrides = {}) {
+    return {
+        model: 'claude-3-5-haiku-20241022',
+        max_tokens: 1024,
+        system: 'You are the Game Master.',
+        messages: [{ role: 'user', content: 'Begin the game.' }],
+        ...overrides
+    };
+}
+
+test('the game\'s own report_turn tool is accepted and forwarded', async () => {
+    const { validateChatRequest, config } = await load();
+    const result = validateChatRequest(chatRequest({ tools: [GAME_MASTER_TOOL], tool_choice: { type: 'auto' } }), config);
+
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.payload.tools[0].name, 'report_turn');
+});
+
+test('oversized tool definitions are rejected', async () => {
+    const { validateChatRequest, config } = await load();
+    const tool = { ...GAME_MASTER_TOOL, description: 'x'.repeat(config.maxMessageChars) };
+    const result = validateChatRequest(chatRequest({ tools: [tool] }), config);
+
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.body.error.details.some(problem => problem.field === 'tools'));
+});
+
+test('tool definitions count toward the request total', async () => {
+    const { validateChatRequest, config } = await load();
+    const limits = { ...config, maxTotalChars: 4000 };
+    const messages = [{ role: 'user', content: 'x'.repeat(3000) }];
+
+    assert.strictEqual(validateChatRequest(chatRequest({ messages }), limits).valid, true);
+
+    const tool = { ...GAME_MASTER_TOOL, input_schema: { type: 'object', description: 'y'.repeat(2000) } };
+    const result = validateChatRequest(chatRequest({ messages, tools: [tool] }), limits);
+    assert.strictEqual(result.valid, false);
+    assert.match(result.body.error.message, /at most 4000 characters in total/);
+});
@@ -0,0 +1,40 @@
+// Rewinding turns with the mock Game Master, including while a turn is still running
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame, plain } = require('./load-game');
+
+async function startMockGame() {
+    const game = loadGame(['startNewGame', 'processPlayerAction', 'rewindTurns', 'getRewindBlocker', 'getSettings', 'saveSettings', 'globalThis']);
+    game.saveSettings({ ...game.getSettings(), aiModel: 'mock', gameMode: 'casual' });
+    await game.startNewGame(1234);
+    game.state = () => plain(game.globalThis.eval('gameState'));
+    return game;
+}
+
+test('rewinding undoes the last turn', async () => {
+    const game = await startMockGame();
+    await game.processPlayerAction('Mine the iron deposits');
+    assert.strictEqual(game.state().transcript.length, 2);
+
+    assert.strictEqual(game.rewindTurns(1), true);
+    const state = game.state();
+    assert.strictEqual(state.transcript.length, 1);
+    assert.strictEqual(state.rewindStack.length, 0);
+    assert.match(state.currentNarrative, /^You come to in the cockpit/);
+});
+
+test('rewinds are refused while a turn is running', async () => {
+    const game = await startMockGame();
+    await game.processPlayerAction('Mine the iron deposits');
+
+    const running = game.processPlayerAction('Pry open the supply pod');
+    assert.match(game.getRewindBlocker(), /current turn/);
+    assert.strictEqual(game.rewindTurns(1), false);
+    await running;
+
+    // The late reply lands in the timeline it was asked from
+    const state = game.state();
+    assert.strictEqual(state.transcript.length, 3);
+    assert.deepStrictEqual(state.rewindStack.map(snapshot => snapshot.action), ['Mine the iron deposits', 'Pry open the supply pod']);
+    assert.strictEqual(game.getRewindBlocker(), null);
+});
@@ -0,0 +1,126 @@
+// Runs every save migration on fixture saves from each released version (fixtures/saves/)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadGame, plain } = require('./load-game');
+
+const {
+    GAME_VERSION,
+    GAME_MODES,
+    SAVE_MIGRATIONS,
+    migrateGameState,
+    compareVersions,
+    createEmptyMemory,
+    createEmptyUsage
+} = loadGame([
+    'GAME_VERSION',
+    'GAME_MODES',
+    'SAVE_MIGRATIONS',
+    'migrateGameState',
+    'compareVersions',
+    'createEmptyMemory',
+    'createEmptyUsage'
+]);
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'saves');
+const FRESH = { seed: 424242, runId: 'run_test_fresh' };
+
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8'));
+}
+
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+    .filter(name => name.endsWith('.json'))
+    .sort();
+
+test('migrations are registered in version order up to the current version', () => {
+    const versions = SAVE_MIGRATIONS.map(step => step.version);
+    for (let i = 1; i < versions.length; i++) {
+        assert.ok(compareVersions(versions[i - 1], versions[i]) < 0, `${versions[i - 1]} before ${versions[i]}`);
+    }
+    assert.strictEqual(versions[versions.length - 1], GAME_VERSION);
+});
+
+test('there is a fixture save for every version before the current one', () => {
+    const fixtureVersions = new Set(fixtures.map(name => readFixture(name).version || '1.0.0'));
+    ['1.0.0', ...SAVE_MIGRATIONS.map(step => step.version)]
+        .filter(version => version !== GAME_VERSION)
+        .forEach(version => assert.ok(fixtureVersions.has(version), `missing fixture for ${version}`));
+});
+
+for (const name of fixtures) {
+    test(`${name} migrates to the current version`, () => {
+        const saved = readFixture(name);
+        const before = JSON.stringify(saved);
+        const state = plain(migrateGameState(saved, FRESH));
+
+        assert.strictEqual(JSON.stringify(saved), before, 'input save is left untouched');
+        assert.strictEqual(state.version, GAME_VERSION);
+
+        // Fields added along the way are present, and anything already there is kept
+        Object.values(state.skills).forEach(skill => assert.strictEqual(typeof skill.points, 'number'));
+        assert.deepStrictEqual(state.rng, saved.rng || { seed: FRESH.seed, state: FRESH.seed });
+        assert.deepStrictEqual(state.transcript, saved.transcript || []);
+        assert.deepStrictEqual(state.rewind, saved.rewind || { mode: 'standard', charges: GAME_MODES.standard.rewindCharges });
+        assert.deepStrictEqual(state.rewindStack, saved.rewindStack || []);
+        assert.strictEqual(state.runId, saved.runId || FRESH.runId);
+        assert.strictEqual(state.branch, saved.branch === undefined ? null : saved.branch);
+        assert.deepStrictEqual(state.memory, saved.memory || plain(createEmptyMemory()));
+        assert.deepStrictEqual(state.usage, saved.usage || plain(createEmptyUsage()));
+
+        // Untouched game data survives as is
+        assert.deepStrictEqual(state.inventory, saved.inventory);
+        assert.deepStrictEqual(state.conversationHistory, saved.conversationHistory);
+    });
+
+    test(`${name} migrates the same way twice`, () => {
+        const once = plain(migrateGameState(readFixture(name), FRESH));
+        const twice = plain(migrateGameState(once, { seed: 1, runId: 'run_other' }));
+        assert.deepStrictEqual(twice, once);
+    });
+}
+
+test('1.1.0 converts number and level/xp skills to points', () => {
+    const state = plain(migrateGameState(readFixture('1.0.0-legacy-skills.json'), FRESH));
+    assert.deepStrictEqual(state.skills, {
+        survival: { level: 1, xp: 0, points: 10 },
+        technology: { level: 1, xp: 0, points: 7 },
+        exploration: { level: 1, xp: 0, points: 5 },
+        combat: { level: 1, xp: 0, points: 0 }
+    });
+});
+
+test('1.1.0 adds default skills to saves without any', () => {
+    const saved = readFixture('1.0.0.json');
+    delete saved.skills;
+    const state = plain(migrateGameState(saved, FRESH));
+    assert.deepStrictEqual(state.skills.exploration, { level: 2, xp: 0, points: 0 });
+});
+
+test('each step only fills in its own field', () => {
+    const expected = {
+        '1.2.0': ['rng'],
+        '1.3.0': ['transcript'],
+        '1.4.0': ['rewind', 'rewindStack'],
+        '1.5.0': ['runId', 'branch'],
+        '1.6.0': ['memory'],
+        '1.7.0': ['usage']
+    };
+    SAVE_MIGRATIONS
+        .filter(step => expected[step.version])
+        .forEach(step => {
+            const state = readFixture('1.1.0.json');
+            const before = Object.keys(state);
+            step.migrate(state, FRESH);
+            const added = Object.keys(state).filter(key => !before.includes(key));
+            assert.deepStrictEqual(added.sort(), expected[step.version].slice().sort(), step.version);
+        });
+});
+
+test('saves from a newer version are refused', () => {
+    assert.throws(
+        () => migrateGameState({ ...readFixture('1.6.0.json'), version: '99.0.0' }, FRESH),
+        /newer version/
+    );
+});
@@ -0,0 +1,32 @@
+// Slash commands that read the game or the save store, with the mock Game Master
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./load-game');
+
+async function startMockGame() {
+    const game = loadGame(['SLASH_COMMANDS', 'startNewGame', 'saveGame', 'autoSave', 'getSettings', 'saveSettings', 'globalThis']);
+    game.saveSettings({ ...game.getSettings(), aiModel: 'mock' });
+    await game.startNewGame(1234);
+    return game;
+}
+
+test('/skills lists only the points players can spend on rolls', async () => {
+    const { SLASH_COMMANDS } = await startMockGame();
+    const output = await SLASH_COMMANDS.skills.run([]);
+
+    assert.match(output, /^Skills:\n {2}\w+: \d+ points/);
+    assert.doesNotMatch(output, /to rolls|level/);
+});
+
+test('/load numbers the auto-save 0 and the saves from 1, as /save does', async () => {
+    const game = await startMockGame();
+    await game.autoSave();
+    await game.saveGame('save_test_1', 'Crash Site');
+
+    const list = await game.SLASH_COMMANDS.load.run([]);
+    assert.match(list, /^0\. Auto-save - .+\n1\. Crash Site - /);
+
+    await assert.rejects(game.SLASH_COMMANDS.save.run(['0']), /there is no save 0/);
+    await assert.rejects(game.SLASH_COMMANDS.load.run(['2']), /there is no save 2/);
+    assert.strictEqual(await game.SLASH_COMMANDS.load.run(['0']), null);
+});